@@ -14,11 +14,193 @@ const Collection = require('./collection');
 const utils = require('./utils');
 const logger = require('./logger');
 
+// Write helpers of native collections, refused on readOnly connections
+const NATIVE_WRITE_METHODS = [
+    'insert', 'insertOne', 'insertMany', 'save',
+    'update', 'updateOne', 'updateMany', 'replaceOne',
+    'remove', 'deleteOne', 'deleteMany',
+    'findAndModify', 'findAndRemove', 'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete',
+    'bulkWrite', 'createIndex', 'createIndexes', 'ensureIndex', 'dropIndex', 'dropIndexes',
+    'drop', 'rename'
+];
+
+// Aggregation stages writing their output to a collection
+const AGGREGATE_WRITE_STAGES = ['$out', '$merge'];
+
+// Whether an aggregation stage writes its output to a collection
+function isWriteStage(stage) {
+    return _.some(AGGREGATE_WRITE_STAGES, _.partial(_.has, stage));
+}
+
 module.exports = (function () {
 
     // Keep track of all the connections used by the app
     var connections = {};
 
+    // Look up a connection and, when named, one of its collections. Unknown names (e.g. typos or
+    // calls after teardown) are returned as `{error}`, for the callback, instead of throwing.
+    function lookupCollection(adapterMethod, connectionName, collectionName) {
+        var connectionObject = connections[connectionName];
+
+        if (!connectionObject || !connectionObject.connection) {
+            return {error: unknownError('E_UNKNOWN_CONNECTION', util.format('Unknown connection `%s`, it is not registered or was torn down', connectionName), adapterMethod, collectionName)};
+        }
+
+        if (!collectionName) return {connectionObject: connectionObject};
+
+        var collection = connectionObject.collections[collectionName];
+        if (!collection) {
+            return {error: unknownError('E_UNKNOWN_COLLECTION', util.format('Unknown collection `%s` in connection `%s`', collectionName, connectionName), adapterMethod, collectionName)};
+        }
+
+        return {connectionObject: connectionObject, collection: collection};
+    }
+
+    // Build the error reported for an unknown connection or collection
+    function unknownError(code, message, adapterMethod, collectionName) {
+        var err = new Error(message);
+        err.code = code;
+        return utils.wrapError(err, adapterMethod, collectionName);
+    }
+
+    // Refuse a write on a readOnly connection: with `readOnlyBehavior: 'error'` the callback gets an
+    // `E_READ_ONLY` error, otherwise the write is skipped with a warning and the callback gets nothing
+    function rejectWrite(connectionObject, adapterMethod, collectionName, cb) {
+        var message = util.format('Cannot %s `%s` on read-only connection `%s`', adapterMethod, collectionName, connectionObject.config.identity);
+
+        if (connectionObject.config.readOnlyBehavior === 'error') {
+            var err = new Error(message);
+            err.code = 'E_READ_ONLY';
+            return cb(utils.wrapError(err, adapterMethod, collectionName));
+        }
+
+        logger.warn('sails-mongo: ' + message + ', skipping it');
+        cb();
+    }
+
+    // Refuse a native write helper, calling back (or resolving, without a callback) as `rejectWrite` does
+    function rejectNativeWrite(connectionObject, adapterMethod, collectionName, args) {
+        var cb = _.last(args);
+
+        if (typeof cb === 'function') {
+            return rejectWrite(connectionObject, adapterMethod, collectionName, cb);
+        }
+
+        return new Promise(function (resolve, reject) {
+            rejectWrite(connectionObject, adapterMethod, collectionName, function (err) {
+                if (err) return reject(err);
+                resolve();
+            });
+        });
+    }
+
+    // Wrap a native collection so its write helpers are refused like the adapter's own writes.
+    // Bulk operations can still be built but not executed, aggregations can't write their output
+    // and only inline map-reduce is allowed.
+    function readOnlyCollection(connectionObject, collectionName, collection) {
+        var wrapped = Object.create(collection);
+
+        NATIVE_WRITE_METHODS.forEach(function (method) {
+            wrapped[method] = function () {
+                return rejectNativeWrite(connectionObject, 'native.' + method, collectionName, arguments);
+            };
+        });
+
+        wrapped.mapReduce = function (map, reduce, options) {
+            if (options && options.out && options.out.inline) {
+                return collection.mapReduce.apply(collection, arguments);
+            }
+            return rejectNativeWrite(connectionObject, 'native.mapReduce', collectionName, arguments);
+        };
+
+        wrapped.aggregate = function (pipeline) {
+            if (!_.some(pipeline, isWriteStage)) return collection.aggregate.apply(collection, arguments);
+
+            var args = _.toArray(arguments);
+            if (typeof _.last(args) === 'function') {
+                return rejectWrite(connectionObject, 'native.aggregate', collectionName, _.last(args));
+            }
+
+            // Without a callback a cursor is returned synchronously, so throw the `E_READ_ONLY`
+            // error or else only skip the writing stages
+            rejectWrite(connectionObject, 'native.aggregate', collectionName, function (err) {
+                if (err) throw err;
+            });
+            args[0] = _.reject(pipeline, isWriteStage);
+            return collection.aggregate.apply(collection, args);
+        };
+
+        ['initializeOrderedBulkOp', 'initializeUnorderedBulkOp'].forEach(function (method) {
+            wrapped[method] = function () {
+                var bulk = collection[method].apply(collection, arguments);
+                bulk.execute = function () {
+                    return rejectNativeWrite(connectionObject, 'native.' + method, collectionName, arguments);
+                };
+                return bulk;
+            };
+        });
+
+        return wrapped;
+    }
+
+    // Run `fn` of `adapter.transaction` in a new session, committing or aborting when it calls `done`
+    function runTransaction(connection, connectionName, fn, cb) {
+        var session;
+        var finished = false;
+
+        try {
+            session = connection.startSession();
+            session.startTransaction();
+        } catch (err) {
+            if (session) session.endSession();
+            return cb(utils.wrapError(err, 'transaction'));
+        }
+
+        var trx = {
+            session: session,
+            create: function (collectionName, data, cb) {
+                adapter.create(connectionName, collectionName, data, {session: session}, cb);
+            },
+            update: function (collectionName, options, values, cb) {
+                adapter.update(connectionName, collectionName, options, values, {session: session}, cb);
+            },
+            destroy: function (collectionName, options, cb) {
+                adapter.destroy(connectionName, collectionName, options, {session: session}, cb);
+            }
+        };
+
+        function done(err, result) {
+            if (finished) return;
+            finished = true;
+
+            if (err) {
+                return session.abortTransaction(function () {
+                    session.endSession();
+                    cb(err);
+                });
+            }
+
+            session.commitTransaction(function (err) {
+                session.endSession();
+                if (err) return cb(utils.wrapError(err, 'transaction'));
+                cb(null, result);
+            });
+        }
+
+        try {
+            fn(trx, done);
+        } catch (err) {
+            done(err);
+        }
+    }
+
+    // Close change streams opened by `watch`, e.g. before closing their connection
+    function closeStreams(streams) {
+        _.each(_.clone(streams), function (changeStream) {
+            changeStream.close(_.noop);
+        });
+    }
+
     const adapter = {
 
         // Which type of primary key is used by default
@@ -36,6 +218,9 @@ module.exports = (function () {
             database: 'sails',
             port: 27017,
             readOnly: false,
+            // What writes on a readOnly connection do: 'warn' skips them with a logged warning,
+            // 'error' fails them with an `E_READ_ONLY` error
+            readOnlyBehavior: 'warn',
             user: null,
             password: null,
             schema: false,
@@ -57,6 +242,21 @@ module.exports = (function () {
             retryMiliSeconds: 5000,
             numberOfRetries: 5,
 
+            // What `destroy` returns: 'records', 'ids' or false for nothing
+            destroyFetch: 'records',
+
+            // Run the lookup and write of multi-document updates and destroys in a snapshot
+            // transaction (replica sets and mongos only). Transactions are limited in time and
+            // size, so large updates may fail with it.
+            snapshotWrites: false,
+
+            // Validate documents on the server with a `$jsonSchema` built from the model attributes,
+            // so writes bypassing Waterline are checked too. The level ('strict' or 'moderate') and
+            // action ('error' or 'warn') are passed on to MongoDB.
+            enforceSchema: false,
+            validationLevel: 'strict',
+            validationAction: 'error',
+
             // Server Options
             ssl: false,
             poolSize: 50,
@@ -75,7 +275,14 @@ module.exports = (function () {
                 // Case sensitive - false
                 // In the next version of WL queries will be case sensitive by default.
                 // Set this to true to experiment with that feature today.
-                caseSensitive: false
+                caseSensitive: false,
+
+                // Collation - false
+                // Set this to true (or to a collation such as `{ locale: 'en', strength: 2 }`) to run case-insensitive
+                // equality and `in` queries with a collation instead of regular expressions, so they can use indexes.
+                // String attributes with `index` or `unique` get indexes with the same collation.
+                // `%` is then no longer treated as a wildcard in equality queries, use `like` for that.
+                collation: false
 
             }
 
@@ -104,7 +311,8 @@ module.exports = (function () {
             // Store the connection
             connections[connection.identity] = {
                 config: connection,
-                collections: {}
+                collections: {},
+                streams: []
             };
 
             // Create a new active connection
@@ -121,10 +329,14 @@ module.exports = (function () {
                 }
                 connections[connection.identity].connection = db;
 
-                // Build up a registry of collections
-                Object.keys(collections).forEach(function (key) {
-                    connections[connection.identity].collections[key] = new Collection(collections[key], db);
-                });
+                // Build up a registry of collections, reporting invalid definitions (e.g. indexes)
+                try {
+                    Object.keys(collections).forEach(function (key) {
+                        connections[connection.identity].collections[key] = new Collection(collections[key], db);
+                    });
+                } catch (err) {
+                    return cb(utils.wrapError(err, 'registerConnection'));
+                }
 
                 cb();
             });
@@ -134,7 +346,8 @@ module.exports = (function () {
         /**
          * Teardown
          *
-         * Closes the connection pool and removes the connection object from the registry.
+         * Closes the connection pool, along with any open change streams, and removes
+         * the connection object from the registry.
          *
          * @param {String} conn
          * @param {Function} cb
@@ -147,6 +360,9 @@ module.exports = (function () {
             }
 
             if (conn === null) {
+                var _streams = _.flatten(_.map(_.values(connections), 'streams'));
+                closeStreams(_streams);
+
                 var _connections = _.map(_.values(connections), 'connection');
                 if (!_connections.length) {
                     return cb();
@@ -168,6 +384,13 @@ module.exports = (function () {
 
             if (!connections[conn]) return cb();
 
+            closeStreams(connections[conn].streams);
+
+            if (!connections[conn].connection) {
+                delete connections[conn];
+                return cb();
+            }
+
             var dbConnection = connections[conn].connection.client;
             dbConnection.close(function () {
                 delete connections[conn];
@@ -178,8 +401,10 @@ module.exports = (function () {
         /**
          * Describe
          *
-         * Return the Schema of a collection after first creating the collection
-         * and indexes if they don't exist.
+         * Return the attributes of a collection as it exists in the database,
+         * or nothing if it doesn't exist. The indexes and validator of the
+         * collection are passed as a third argument. Collections that aren't
+         * registered (yet) can be described too.
          *
          * @param {String} connectionName
          * @param {String} collectionName
@@ -188,19 +413,27 @@ module.exports = (function () {
 
         describe: function (connectionName, collectionName, cb) {
 
-            var connectionObject = connections[connectionName];
-            var collection = connectionObject.collections[collectionName];
-            var schema = collection.schema;
-            var names = connectionObject.connection.client.db().listCollections(collectionName);
-            if (names.length > 0) return cb(null, schema);
-            cb();
+            var lookup = lookupCollection('describe', connectionName);
+            if (lookup.error) return cb(lookup.error);
+
+            var connection = lookup.connectionObject.connection;
+            var collection = lookup.connectionObject.collections[collectionName] ||
+                new Collection({identity: collectionName, definition: {}}, connection);
+
+            collection.describe(function (err, attributes, details) {
+                if (err) return cb(utils.wrapError(err, 'describe', collectionName));
+                cb(null, attributes, details);
+            });
 
         },
 
         /**
          * Define
          *
-         * Create a new Mongo Collection and set Index Values
+         * Create a new Mongo Collection and set Index Values. Collections that
+         * weren't passed to `registerConnection` (e.g. dynamically defined models)
+         * are registered from the definition. On readOnly connections the collection
+         * is only registered.
          *
          * @param {String} connectionName
          * @param {String} collectionName
@@ -210,16 +443,33 @@ module.exports = (function () {
 
         define: function (connectionName, collectionName, definition, cb) {
 
-            var connectionObject = connections[connectionName];
+            var lookup = lookupCollection('define', connectionName);
+            if (lookup.error) return cb(lookup.error);
+
+            var connectionObject = lookup.connectionObject;
             var collection = connectionObject.collections[collectionName];
 
+            if (!collection) {
+                try {
+                    collection = new Collection({identity: collectionName, definition: definition}, connectionObject.connection);
+                } catch (err) {
+                    return cb(utils.wrapError(err, 'define', collectionName));
+                }
+                connectionObject.collections[collectionName] = collection;
+            }
+
             // Create the collection and indexes
 
             if (connectionObject.connection.config.readOnly) {
-                //No creating indexes and collections for readOnly collections
-                cb()
+                // No creating indexes and collections for readOnly collections. Waterline defines
+                // them on every boot with the `alter` and `drop` strategies, so this isn't refused.
+                logger.log(`Skipping define of ${collectionName} on read-only connection ${connectionName}`);
+                cb();
             } else {
-                connectionObject.connection.createCollection(collectionName, collection, cb);
+                connectionObject.connection.createCollection(collectionName, collection, function (err) {
+                    if (err) return cb(utils.wrapError(err, 'define', collectionName));
+                    cb();
+                });
             }
 
         },
@@ -242,19 +492,20 @@ module.exports = (function () {
                 relations = [];
             }
 
-            var connectionObject = connections[connectionName];
-            var collection = connectionObject.collections[collectionName];
+            var lookup = lookupCollection('drop', connectionName);
+            if (lookup.error) return cb(lookup.error);
+            var connectionObject = lookup.connectionObject;
 
             // Drop the collection and indexes
             if (connectionObject.connection.config.readOnly) {
                 //No creating indexes and collections for readOnly collections
-                cb()
+                rejectWrite(connectionObject, 'drop', collectionName, cb);
             } else {
                 connectionObject.connection.dropCollection(collectionName, function (err) {
 
                     // Don't error if droping a collection which doesn't exist
                     if (err && err.errmsg === 'ns not found') return cb();
-                    if (err) return cb(err);
+                    if (err) return cb(utils.wrapError(err, 'drop', collectionName));
                     cb();
                 });
             }
@@ -274,8 +525,58 @@ module.exports = (function () {
 
         native: function (connectionName, collectionName, cb) {
 
-            const connectionObject = connections[connectionName];
-            cb(null, connectionObject.connection.client.db().collection(collectionName));
+            var lookup = lookupCollection('native', connectionName);
+            if (lookup.error) return cb(lookup.error);
+
+            var connectionObject = lookup.connectionObject;
+            var collection = connectionObject.connection.client.db().collection(collectionName);
+
+            // Guard the write helpers of collections on readOnly connections
+            if (connectionObject.config.readOnly) {
+                collection = readOnlyCollection(connectionObject, collectionName, collection);
+            }
+
+            cb(null, collection);
+
+        },
+
+        /**
+         * Transaction
+         *
+         * Run several writes inside a single multi-document transaction. `fn` is
+         * called with a transaction object exposing `create`, `update` and `destroy`
+         * (same signatures as the adapter methods, minus the connection name) and a
+         * `done` callback. Calling `done` with an error aborts the transaction,
+         * otherwise it is committed and `cb` receives the value passed to `done`.
+         * Only the first call to `done` counts, and an error thrown by `fn` aborts
+         * the transaction too.
+         *
+         * Transactions require a replica set or a sharded cluster, other servers get
+         * an `E_TRANSACTIONS_UNSUPPORTED` error.
+         *
+         * @param {String} connectionName
+         * @param {Function} fn
+         * @param {Function} cb
+         */
+
+        transaction: function (connectionName, fn, cb) {
+
+            var lookup = lookupCollection('transaction', connectionName);
+            if (lookup.error) return cb(lookup.error);
+            var connection = lookup.connectionObject.connection;
+
+            // Standalone servers only refuse transactions at their first write, so check up front
+            connection.supportsTransactions(function (err, supported) {
+                if (err) return cb(utils.wrapError(err, 'transaction'));
+
+                if (!supported) {
+                    var unsupported = new Error(util.format('Connection `%s` does not support transactions, they require a replica set (MongoDB 4.0+) or a sharded cluster (MongoDB 4.2+)', connectionName));
+                    unsupported.code = 'E_TRANSACTIONS_UNSUPPORTED';
+                    return cb(utils.wrapError(unsupported, 'transaction'));
+                }
+
+                runTransaction(connection, connectionName, fn, cb);
+            });
 
         },
 
@@ -311,21 +612,29 @@ module.exports = (function () {
          * @param {String} connectionName
          * @param {String} collectionName
          * @param {Object} data
+         * @param {Object} [options]
          * @param {Function} cb
          */
 
-        create: function (connectionName, collectionName, data, cb) {
+        create: function (connectionName, collectionName, data, options, cb) {
 
-            var connectionObject = connections[connectionName];
-            var collection = connectionObject.collections[collectionName];
+            if (typeof options === 'function') {
+                cb = options;
+                options = {};
+            }
+
+            var lookup = lookupCollection('create', connectionName, collectionName);
+            if (lookup.error) return cb(lookup.error);
+            var connectionObject = lookup.connectionObject;
+            var collection = lookup.collection;
 
             // Insert a new document into the collection
             if (connectionObject.connection.config.readOnly) {
                 //No creating indexes and collections for readOnly collections
-                cb()
+                rejectWrite(connectionObject, 'create', collectionName, cb);
             } else {
-                collection.insert(data, function (err, results) {
-                    if (err) return cb(utils.clarifyError(err));
+                collection.insert(data, options, function (err, results) {
+                    if (err) return cb(utils.wrapError(err, 'create', collectionName));
                     cb(null, results[0]);
                 });
             }
@@ -335,28 +644,90 @@ module.exports = (function () {
         /**
          * Create Each
          *
-         * Insert an array of documents into a collection.
+         * Insert an array of documents into a collection. Pass `{ordered: false}`
+         * to keep inserting past failing documents; the callback then gets an
+         * `E_PARTIAL` error holding the created `records` and the per-index `errors`.
          *
          * @param {String} connectionName
          * @param {String} collectionName
          * @param {Object} data
+         * @param {Object} [options]
          * @param {Function} cb
          */
 
-        createEach: function (connectionName, collectionName, data, cb) {
+        createEach: function (connectionName, collectionName, data, options, cb) {
+
+            if (typeof options === 'function') {
+                cb = options;
+                options = {};
+            }
 
             if (data.length === 0) {
                 return cb(null, []);
             }
 
-            var connectionObject = connections[connectionName];
-            var collection = connectionObject.collections[collectionName];
+            var lookup = lookupCollection('createEach', connectionName, collectionName);
+            if (lookup.error) return cb(lookup.error);
+            var connectionObject = lookup.connectionObject;
+            var collection = lookup.collection;
 
-            // Insert a new document into the collection
-            collection.insert(data, function (err, results) {
-                if (err) return cb(utils.clarifyError(err));
-                cb(null, results);
-            });
+            // Insert new documents into the collection
+            if (connectionObject.connection.config.readOnly) {
+                //No writing to readOnly collections
+                rejectWrite(connectionObject, 'createEach', collectionName, cb);
+            } else {
+                collection.insert(data, options, function (err, results, errors) {
+                    if (err) return cb(utils.wrapError(err, 'createEach', collectionName));
+
+                    // Unordered inserts report the records that failed next to the ones created
+                    if (errors && errors.length) {
+                        var partialError = new Error(util.format('%d of %d records could not be created', errors.length, data.length));
+                        partialError.code = 'E_PARTIAL';
+                        partialError.errors = errors;
+                        partialError.records = results;
+                        return cb(utils.wrapError(partialError, 'createEach', collectionName), results);
+                    }
+
+                    cb(null, results);
+                });
+            }
+        },
+
+        /**
+         * Bulk Write
+         *
+         * Run a mixed list of insert, update, upsert and destroy operations
+         * (in Waterline criteria syntax) as a single bulk write. See
+         * `Collection.prototype.bulkWrite` for the operation format.
+         *
+         * @param {String} connectionName
+         * @param {String} collectionName
+         * @param {Array} operations
+         * @param {Object} [options]
+         * @param {Function} cb
+         */
+
+        bulkWrite: function (connectionName, collectionName, operations, options, cb) {
+
+            if (typeof options === 'function') {
+                cb = options;
+                options = {};
+            }
+
+            var lookup = lookupCollection('bulkWrite', connectionName, collectionName);
+            if (lookup.error) return cb(lookup.error);
+            var connectionObject = lookup.connectionObject;
+            var collection = lookup.collection;
+
+            if (connectionObject.connection.config.readOnly) {
+                //No writing to readOnly collections
+                rejectWrite(connectionObject, 'bulkWrite', collectionName, cb);
+            } else {
+                collection.bulkWrite(operations || [], options, function (err, result) {
+                    if (err) return cb(utils.wrapError(err, 'bulkWrite', collectionName));
+                    cb(null, result);
+                });
+            }
         },
 
         /**
@@ -372,12 +743,51 @@ module.exports = (function () {
 
         find: function (connectionName, collectionName, options, cb) {
             options = options || {};
-            var connectionObject = connections[connectionName];
-            var collection = connectionObject.collections[collectionName];
+            var lookup = lookupCollection('find', connectionName, collectionName);
+            if (lookup.error) return cb(lookup.error);
+            var collection = lookup.collection;
 
             // Find all matching documents
             collection.find(options, function (err, results) {
-                if (err) return cb(err);
+                if (err) return cb(utils.wrapError(err, 'find', collectionName, options));
+                cb(null, results);
+            });
+        },
+
+        /**
+         * Aggregate
+         *
+         * Run a raw aggregation pipeline on a collection. Waterline `where`, `sort`,
+         * `skip` and `limit` options are prepended as stages; `allowDiskUse`,
+         * `batchSize` and `maxTimeMS` are passed through to the driver. Pipelines
+         * writing their output (`$out`, `$merge`) are refused on readOnly connections.
+         *
+         * @param {String} connectionName
+         * @param {String} collectionName
+         * @param {Array} pipeline
+         * @param {Object} [options]
+         * @param {Function} cb
+         */
+
+        aggregate: function (connectionName, collectionName, pipeline, options, cb) {
+
+            if (typeof options === 'function') {
+                cb = options;
+                options = {};
+            }
+
+            var lookup = lookupCollection('aggregate', connectionName, collectionName);
+            if (lookup.error) return cb(lookup.error);
+            var connectionObject = lookup.connectionObject;
+            var collection = lookup.collection;
+
+            // `$out` and `$merge` stages write to a collection
+            if (connectionObject.config.readOnly && _.some(pipeline, isWriteStage)) {
+                return rejectWrite(connectionObject, 'aggregate', collectionName, cb);
+            }
+
+            collection.aggregate(pipeline, options || {}, function (err, results) {
+                if (err) return cb(utils.wrapError(err, 'aggregate', collectionName, options));
                 cb(null, results);
             });
         },
@@ -391,56 +801,168 @@ module.exports = (function () {
          * @param {String} collectionName
          * @param {Object} options
          * @param {Object} values
+         * @param {Object} [writeOptions]
          * @param {Function} cb
          */
 
-        update: function (connectionName, collectionName, options, values, cb) {
+        update: function (connectionName, collectionName, options, values, writeOptions, cb) {
+            if (typeof writeOptions === 'function') {
+                cb = writeOptions;
+                writeOptions = {};
+            }
+
             options = options || {};
-            var connectionObject = connections[connectionName];
-            var collection = connectionObject.collections[collectionName];
+            var lookup = lookupCollection('update', connectionName, collectionName);
+            if (lookup.error) return cb(lookup.error);
+            var connectionObject = lookup.connectionObject;
+            var collection = lookup.collection;
 
             // Update matching documents
             if (connectionObject.connection.config.readOnly) {
                 //No creating indexes and collections for readOnly collections
-                cb()
+                rejectWrite(connectionObject, 'update', collectionName, cb);
             } else {
-                collection.update(options, values, function (err, results) {
-                    if (err) return cb(utils.clarifyError(err));
+                collection.update(options, values, writeOptions, function (err, results) {
+                    if (err) return cb(utils.wrapError(err, 'update', collectionName, options));
                     cb(null, results);
                 });
             }
 
         },
 
+        /**
+         * Upsert
+         *
+         * Atomically update the first document matching a criteria object, or
+         * insert it if none matches. The criteria may be shorthand for their
+         * `where` clause and are matched case-sensitively.
+         *
+         * @param {String} connectionName
+         * @param {String} collectionName
+         * @param {Object} criteria
+         * @param {Object} values
+         * @param {Function} cb
+         */
+
+        upsert: function (connectionName, collectionName, criteria, values, cb) {
+            criteria = criteria || {};
+            var lookup = lookupCollection('upsert', connectionName, collectionName);
+            if (lookup.error) return cb(lookup.error);
+            var connectionObject = lookup.connectionObject;
+            var collection = lookup.collection;
+
+            if (connectionObject.connection.config.readOnly) {
+                //No writing to readOnly collections
+                rejectWrite(connectionObject, 'upsert', collectionName, cb);
+            } else {
+                collection.upsert(criteria, values, function (err, result) {
+                    if (err) return cb(utils.wrapError(err, 'upsert', collectionName, criteria));
+                    cb(null, result);
+                });
+            }
+
+        },
+
+        /**
+         * Find Or Create
+         *
+         * Return the first document matching a criteria object, atomically
+         * creating it from `values` if none matches. Criteria are handled as
+         * in `upsert`.
+         *
+         * @param {String} connectionName
+         * @param {String} collectionName
+         * @param {Object} criteria
+         * @param {Object} values
+         * @param {Function} cb
+         */
+
+        findOrCreate: function (connectionName, collectionName, criteria, values, cb) {
+            criteria = criteria || {};
+            var lookup = lookupCollection('findOrCreate', connectionName, collectionName);
+            if (lookup.error) return cb(lookup.error);
+            var connectionObject = lookup.connectionObject;
+            var collection = lookup.collection;
+
+            if (connectionObject.connection.config.readOnly) {
+                //No writing to readOnly collections
+                rejectWrite(connectionObject, 'findOrCreate', collectionName, cb);
+            } else {
+                collection.upsert(criteria, values, {insertOnly: true}, function (err, result) {
+                    if (err) return cb(utils.wrapError(err, 'findOrCreate', collectionName, criteria));
+                    cb(null, result);
+                });
+            }
+
+        },
+
         /**
          * Destroy
          *
          * Destroy all documents matching a criteria object in a collection.
+         * Pass `{fetch: 'ids'}` or `{fetch: false}` as write options (or set
+         * `destroyFetch` on the connection) to return less than the full records.
          *
          * @param {String} connectionName
          * @param {String} collectionName
          * @param {Object} options
+         * @param {Object} [writeOptions]
          * @param {Function} cb
          */
 
-        destroy: function (connectionName, collectionName, options, cb) {
+        destroy: function (connectionName, collectionName, options, writeOptions, cb) {
+            if (typeof writeOptions === 'function') {
+                cb = writeOptions;
+                writeOptions = {};
+            }
+
             options = options || {};
-            var connectionObject = connections[connectionName];
-            var collection = connectionObject.collections[collectionName];
+            var lookup = lookupCollection('destroy', connectionName, collectionName);
+            if (lookup.error) return cb(lookup.error);
+            var connectionObject = lookup.connectionObject;
+            var collection = lookup.collection;
 
-            // Find matching documents
+            // Destroy matching documents
             if (connectionObject.connection.config.readOnly) {
                 //No creating indexes and collections for readOnly collections
-                cb()
+                rejectWrite(connectionObject, 'destroy', collectionName, cb);
             } else {
-                collection.find(options, function (err, results) {
-                    if (err) return cb(err);
+                // Default to the connection's fetch setting unless the call overrides it
+                writeOptions = _.defaults({}, writeOptions, {fetch: connectionObject.config.destroyFetch});
 
-                    // Destroy matching documents
-                    collection.destroy(options, function (err) {
-                        if (err) return cb(err);
-                        cb(null, results);
-                    });
+                collection.destroy(options, writeOptions, function (err, results) {
+                    if (err) return cb(utils.wrapError(err, 'destroy', collectionName, options));
+                    cb(null, results);
+                });
+            }
+        },
+
+        /**
+         * Restore
+         *
+         * Restore soft-deleted documents matching a criteria object in a collection.
+         * Only available for models with `softDelete` enabled.
+         *
+         * @param {String} connectionName
+         * @param {String} collectionName
+         * @param {Object} options
+         * @param {Function} cb
+         */
+
+        restore: function (connectionName, collectionName, options, cb) {
+            options = options || {};
+            var lookup = lookupCollection('restore', connectionName, collectionName);
+            if (lookup.error) return cb(lookup.error);
+            var connectionObject = lookup.connectionObject;
+            var collection = lookup.collection;
+
+            if (connectionObject.connection.config.readOnly) {
+                //No writing to readOnly collections
+                rejectWrite(connectionObject, 'restore', collectionName, cb);
+            } else {
+                collection.restore(options, function (err, results) {
+                    if (err) return cb(utils.wrapError(err, 'restore', collectionName, options));
+                    cb(null, results);
                 });
             }
         },
@@ -458,12 +980,13 @@ module.exports = (function () {
 
         count: function (connectionName, collectionName, options, cb) {
             options = options || {};
-            var connectionObject = connections[connectionName];
-            var collection = connectionObject.collections[collectionName];
+            var lookup = lookupCollection('count', connectionName, collectionName);
+            if (lookup.error) return cb(lookup.error);
+            var collection = lookup.collection;
 
             // Find matching documents and return the count
             collection.count(options, function (err, results) {
-                if (err) return cb(err);
+                if (err) return cb(utils.wrapError(err, 'count', collectionName, options));
                 cb(null, results);
             });
         },
@@ -488,8 +1011,11 @@ module.exports = (function () {
                 delete criteria.select;
             }
 
-            var connectionObject = connections[connectionName];
-            var collection = connectionObject.collections[collectionName];
+            var lookup = lookupCollection('join', connectionName, collectionName);
+            if (lookup.error) return cb(lookup.error);
+
+            // Associated records are read like the parent ones
+            var readOptions = _.pick(criteria, 'readPreference', 'readConcern');
 
             // Populate associated records for each parent result
             // (or do them all at once as an optimization, if possible)
@@ -507,9 +1033,9 @@ module.exports = (function () {
                  * @param  {Function} cb
                  */
                 $find: function (collectionIdentity, criteria, cb) {
-                    var connectionObject = connections[connectionName];
-                    var collection = connectionObject.collections[collectionIdentity];
-                    return collection.find(criteria, cb);
+                    var lookup = lookupCollection('join', connectionName, collectionIdentity);
+                    if (lookup.error) return cb(lookup.error);
+                    return lookup.collection.find(_.defaults(criteria, readOptions), cb);
                 },
 
                 /**
@@ -521,18 +1047,54 @@ module.exports = (function () {
                  */
                 $getPK: function (collectionIdentity) {
                     if (!collectionIdentity) return;
-                    var connectionObject = connections[connectionName];
-                    if (!connectionObject) {
-                        throw new Error('Consistency violation in sails-mongo: Unrecognized datastore (i.e. connection): `' + connectionName + '`.');
-                    }
-                    var collection = connectionObject.collections[collectionIdentity];
-                    if (!collection) {
-                        throw new Error('Consistency violation in sails-mongo: Unrecognized collection: `' + collectionIdentity + '` in datastore (i.e. connection): `' + connectionName + '`.');
-                    }
-                    return collection._getPK();
+                    var lookup = lookupCollection('join', connectionName, collectionIdentity);
+                    if (lookup.error) throw lookup.error;
+                    return lookup.collection._getPK();
                 }
-            }, cb);
+            }, function (err, results) {
+                if (err) return cb(utils.wrapError(err, 'join', collectionName, criteria));
+                cb(null, results);
+            });
+
+        },
+
+        /**
+         * Watch
+         *
+         * Open a MongoDB change stream on a collection and call `handler(err, event)`
+         * for every insert, update and delete matching the criteria's `where`. The
+         * change stream is returned so it can be closed; it is also closed on teardown.
+         * Requires a replica set or a sharded cluster.
+         *
+         * @param {String} connectionName
+         * @param {String} collectionName
+         * @param {Object} criteria
+         * @param {Function} handler
+         * @return {ChangeStream}
+         */
+
+        watch: function (connectionName, collectionName, criteria, handler) {
+            var lookup = lookupCollection('watch', connectionName, collectionName);
+            if (lookup.error) {
+                handler(lookup.error);
+                return;
+            }
+            var connectionObject = lookup.connectionObject;
+            var collection = lookup.collection;
 
+            var changeStream = collection.watch(criteria || {}, function (err, event) {
+                if (err) return handler(utils.wrapError(err, 'watch', collectionName, criteria));
+                handler(null, event);
+            });
+            if (!changeStream) return;
+
+            // Track open streams so teardown can close them, forgetting the ones closed since
+            connectionObject.streams = _.reject(connectionObject.streams, function (stream) {
+                return stream.isClosed();
+            });
+            connectionObject.streams.push(changeStream);
+
+            return changeStream;
         },
 
         /**
@@ -549,10 +1111,20 @@ module.exports = (function () {
          */
         stream: function (connectionName, collectionName, options, stream) {
             options = options || {};
-            var connectionObject = connections[connectionName];
-            var collection = connectionObject.collections[collectionName];
-
-            collection.stream(options, stream);
+            var lookup = lookupCollection('stream', connectionName, collectionName);
+            if (lookup.error) return stream.end(lookup.error);
+            var collection = lookup.collection;
+
+            // Pass errors ending the stream through the same wrapping as the other methods
+            collection.stream(options, {
+                write: function (obj, cb) {
+                    return stream.write(obj, cb);
+                },
+                end: function (err) {
+                    if (err) return stream.end(utils.wrapError(err, 'stream', collectionName, options));
+                    stream.end();
+                }
+            });
         },
 
         identity: 'sails-mongo'
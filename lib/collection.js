@@ -3,12 +3,45 @@
  */
 
 const _ = require('lodash');
+const ObjectId = require('mongodb').ObjectID;
+const Binary = require('mongodb').Binary;
+const ReadPreference = require('mongodb').ReadPreference;
 
 const Errors = require('waterline-errors').adapter;
 const utils = require('./utils');
 const Document = require('./document');
 const Query = require('./query');
 
+// Attribute types holding GeoJSON, indexed with `2dsphere` indexes
+const GEO_TYPES = ['geojson', 'point'];
+
+// Update operators that may be passed through `update` values
+const UPDATE_OPERATORS = ['$inc', '$push', '$addToSet', '$pull', '$unset', '$min', '$max', '$currentDate'];
+
+// Validation rules Waterline strips off the schema, kept to build the `$jsonSchema` validator
+const VALIDATION_RULES = ['required', 'in', 'minLength', 'maxLength'];
+
+// BSON types of the attribute types, as checked by the `$jsonSchema` validator
+const BSON_TYPES = {
+  string: 'string',
+  text: 'string',
+  mediumtext: 'string',
+  longtext: 'string',
+  integer: 'number',
+  float: 'number',
+  boolean: 'bool',
+  date: 'date',
+  datetime: 'date',
+  binary: 'binData',
+  array: 'array',
+  objectid: 'objectId',
+  geojson: 'object',
+  point: 'object'
+};
+
+// Number of documents sampled to infer the attribute types when describing a collection
+const DESCRIBE_SAMPLE_SIZE = 100;
+
 
 /**
  * Manage A Collection
@@ -35,12 +68,18 @@ var Collection = module.exports = function Collection(definition, connection) {
   // Hold Indexes
   this.indexes = [];
 
+  // Name of the soft-delete attribute, if enabled for this model
+  this.softDelete = false;
+
   // Parse the definition into collection attributes
   this._parseDefinition(definition);
 
   // Build an indexes dictionary
   this._buildIndexes();
 
+  // Build the server-side validator, if enforced for this connection
+  this.validator = connectionConfig.enforceSchema ? this._buildValidator() : null;
+
   return this;
 };
 
@@ -52,6 +91,11 @@ var Collection = module.exports = function Collection(definition, connection) {
 /**
  * Find Documents
  *
+ * The criteria may carry a `readPreference` (a mode or `{ mode, tags,
+ * maxStalenessSeconds }`) and a `readConcern` (a level or `{ level }`),
+ * overriding the defaults of the model; the same goes for `count`, `stream`
+ * and `aggregate`.
+ *
  * @param {Object} criteria
  * @param {Function} callback
  * @api public
@@ -64,21 +108,21 @@ Collection.prototype.find = function find(criteria, cb) {
   // Catch errors from building query and return to the callback
   try {
     query = new Query(criteria, this.schema, this.config);
+    this._scopeDeleted(query);
   } catch(err) {
     return cb(err);
   }
 
-  var collection = this.connection.client.db().collection(self.identity);
+  var collection = this._readCollection(query);
 
   // Check for aggregate query
   if(query.aggregate) {
-    var aggregate = [
-      { '$match': query.criteria.where || {} },
-      { '$group': query.aggregateGroup }
-    ];
+    return collection.aggregate(query.aggregatePipeline(), _.extend({cursor: {}}, this._driverOptions({}, query)), function(err, cursor) {
+      if(err) return cb(err);
+
+      cursor.toArray(function(err, results) {
+        if(err) return cb(err);
 
-    return collection.aggregate(aggregate, {cursor: {}}, function(err, cursor) {
-      return cursor.toArray(function(err, results){
         // Results have grouped by values under _id, so we extract them
         var mapped = results.map(function(result) {
           for(var key in result._id) {
@@ -88,14 +132,21 @@ Collection.prototype.find = function find(criteria, cb) {
           return result;
         });
 
-        cb(err, mapped);
-      })
+        cb(null, mapped);
+      });
+    });
+  }
 
+  // Check for a near query reporting distances
+  if(query.geoNear) {
+    return collection.aggregate(query.geoNearPipeline(), this._driverOptions({}, query)).toArray(function(err, docs) {
+      if(err) return cb(err);
+      cb(null, utils.normalizeResults(docs, self.schema));
     });
   }
 
   var where = query.criteria.where || {};
-  var queryOptions = _.omit(query.criteria, 'where');
+  var queryOptions = _.extend(_.omit(query.criteria, 'where'), this._driverOptions({}, query));
   if(query.select){
     queryOptions.projection = query.select
   }
@@ -107,6 +158,56 @@ Collection.prototype.find = function find(criteria, cb) {
   });
 };
 
+/**
+ * Aggregate Documents
+ *
+ * Run a raw aggregation pipeline. Any Waterline `where`, `sort`, `skip` and
+ * `limit` given in the options are translated and prepended as stages, and
+ * `allowDiskUse`, `batchSize` and `maxTimeMS` are passed to the driver, as
+ * well as `readPreference` and `readConcern`.
+ *
+ * @param {Array} pipeline
+ * @param {Object} [options]
+ * @param {Function} callback
+ * @api public
+ */
+
+Collection.prototype.aggregate = function aggregate(pipeline, options, cb) {
+  var self = this,
+      query;
+
+  if(typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  // Catch errors from building query and return to the callback
+  try {
+    query = new Query(_.pick(options, 'where', 'sort', 'skip', 'limit', 'withDeleted', 'readPreference', 'readConcern'), this.schema, this.config);
+    this._scopeDeleted(query);
+  } catch(err) {
+    return cb(err);
+  }
+
+  var stages = [];
+  var criteria = query.criteria;
+
+  if(!_.isEmpty(criteria.where)) stages.push({ '$match': criteria.where });
+  if(!_.isEmpty(criteria.sort)) stages.push({ '$sort': criteria.sort });
+  if(criteria.skip) stages.push({ '$skip': criteria.skip });
+  if(criteria.limit) stages.push({ '$limit': criteria.limit });
+
+  var aggregateOptions = _.extend(_.pick(options, 'allowDiskUse', 'maxTimeMS'), this._driverOptions(options, query));
+  if(options.batchSize) aggregateOptions.cursor = { batchSize: options.batchSize };
+
+  var collection = this._readCollection(query);
+
+  collection.aggregate(stages.concat(pipeline || []), aggregateOptions).toArray(function(err, results) {
+    if(err) return cb(err);
+    cb(null, utils.normalizeResults(results, self.schema));
+  });
+};
+
 /**
  * Stream Documents
  *
@@ -126,14 +227,15 @@ Collection.prototype.stream = function find(criteria, stream) {
   // Catch errors from building query and return to the callback
   try {
     query = new Query(criteria, this.schema, this.config);
+    this._scopeDeleted(query);
   } catch(err) {
     return stream.end(err); // End stream
   }
 
-  var collection = this.connection.client.db().collection(self.identity);
+  var collection = this._readCollection(query);
 
   var where = query.criteria.where || {};
-  var queryOptions = _.omit(query.criteria, 'where');
+  var queryOptions = _.extend(_.omit(query.criteria, 'where'), this._driverOptions({}, query));
 
   // Run Normal Query on collection
   var dbStream = collection.find(where, queryOptions).stream();
@@ -166,18 +268,86 @@ Collection.prototype.stream = function find(criteria, stream) {
   });
 };
 
+/**
+ * Watch Documents
+ *
+ * Open a change stream on the collection, filtered by the criteria's `where`
+ * clause (or shorthand criteria), and call `handler(err, event)` for every
+ * insert, update and delete.
+ * Events look like `{ type, id, record, resumeToken }`; pass a previous
+ * `resumeToken` as `criteria.resumeAfter` (or `criteria.startAfter`) to pick
+ * up where a stream left off. Soft-deleting a record is reported as a delete.
+ *
+ * @param {Object} criteria
+ * @param {Function} handler
+ * @return {ChangeStream}
+ * @api public
+ */
+
+Collection.prototype.watch = function watch(criteria, handler) {
+  var self = this,
+      query;
+
+  criteria = utils.normalizeCriteria(criteria);
+
+  // Catch errors from building query and return to the handler
+  try {
+    query = new Query(_.pick(criteria, 'where'), this.schema, this.config);
+  } catch(err) {
+    handler(err);
+    return;
+  }
+
+  var watchOptions = _.extend({ fullDocument: 'updateLookup' }, _.pick(criteria, 'resumeAfter', 'startAfter'));
+  var pipeline = this._changeStreamPipeline(query.criteria.where || {});
+  var changeStream = this.connection.client.db().collection(this.identity).watch(pipeline, watchOptions);
+
+  changeStream.on('change', function(change) {
+    var type = change.operationType === 'replace' ? 'update' : change.operationType;
+    var record = change.fullDocument ? utils.normalizeResults([change.fullDocument], self.schema)[0] : null;
+
+    if(type === 'update' && record && self.softDelete && record[self.softDelete]) {
+      type = 'delete';
+    }
+
+    handler(null, {
+      type: type,
+      id: utils.rewriteIds([change.documentKey])[0].id,
+      record: record,
+      resumeToken: change._id
+    });
+  });
+
+  changeStream.on('error', function(err) {
+    handler(err);
+  });
+
+  return changeStream;
+};
+
 /**
  * Insert A New Document
  *
+ * With `options.ordered` set to `false` the insert continues past failing
+ * documents; the callback then receives the inserted records along with an
+ * array of `{ index, error }` for the ones that failed. A write concern error
+ * still fails the whole insert.
+ *
  * @param {Object|Array} values
+ * @param {Object} [options]
  * @param {Function} callback
  * @api public
  */
 
-Collection.prototype.insert = function insert(values, cb) {
+Collection.prototype.insert = function insert(values, options, cb) {
 
   var self = this;
 
+  if(typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
   // Normalize values to an array
   if(!Array.isArray(values)) values = [values];
 
@@ -186,9 +356,24 @@ Collection.prototype.insert = function insert(values, cb) {
     return new Document(value, self.schema).values;
   });
 
-  this.connection.client.db().collection(this.identity).insertMany(docs, function(err, results) {
-    if(err) return cb(err);
-    cb(null, utils.rewriteIds(results.ops, self.schema));
+  var insertOptions = this._driverOptions(options);
+  if(options.ordered === false) insertOptions.ordered = false;
+
+  this.connection.client.db().collection(this.identity).insertMany(docs, insertOptions, function(err, results) {
+    if(!err) return cb(null, utils.rewriteIds(results.ops, self.schema));
+
+    // Unordered inserts carry on past failing documents, so report which ones made it. Anything
+    // else, e.g. a write concern error, fails the whole insert.
+    var errors = insertOptions.ordered === false ? utils.clarifyWriteErrors(err) : [];
+    if(!errors.length || err.result.getWriteConcernError()) return cb(err);
+
+    var failed = _.map(errors, 'index');
+
+    var inserted = docs.filter(function(doc, index) {
+      return failed.indexOf(index) === -1;
+    });
+
+    cb(null, utils.rewriteIds(inserted, self.schema), errors);
   });
 };
 
@@ -197,14 +382,20 @@ Collection.prototype.insert = function insert(values, cb) {
  *
  * @param {Object} criteria
  * @param {Object} values
+ * @param {Object} [options]
  * @param {Function} callback
  * @api public
  */
 
-Collection.prototype.update = function update(criteria, values, cb) {
+Collection.prototype.update = function update(criteria, values, options, cb) {
   var self = this,
       query;
 
+  if(typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
   // Ignore `select` from waterline core
   if (typeof criteria === 'object') {
     delete criteria.select;
@@ -213,57 +404,164 @@ Collection.prototype.update = function update(criteria, values, cb) {
   // Catch errors build query and return to the callback
   try {
     query = new Query(criteria, this.schema, this.config);
+    this._scopeDeleted(query);
   } catch(err) {
     return cb(err);
   }
 
-  values = new Document(values, this.schema).values;
-
-  // Mongo doesn't allow ID's to be updated
-  if(values.id) delete values.id;
-  if(values._id) delete values._id;
+  var update;
 
-  const collection = this.connection.client.db().collection(self.identity);
+  // Catch errors from unsupported update operators
+  try {
+    update = this._buildUpdate(values);
+  } catch(err) {
+    return cb(err);
+  }
 
-  // Lookup records being updated and grab their ID's
-  // Useful for later looking up the record after an insert
-  // Required because options may not contain an ID
-  collection.find(query.criteria.where, {_id: 1}).toArray(function(err, records) {
-    if(err) return cb(err);
-    if(!records) return cb(Errors.NotFound);
+  var where = query.criteria.where || {};
+  var collection = this.connection.client.db().collection(self.identity);
 
-    // Build an array of records
-    var updatedRecords = [];
+  // A single document can be updated and read back atomically
+  if(this._isSingleDocument(where)) {
+    var findAndModifyOptions = _.extend({ returnOriginal: false }, this._driverOptions(options, query));
 
-    records.forEach(function(record) {
-      updatedRecords.push(record._id);
+    return collection.findOneAndUpdate(where, update, findAndModifyOptions, function(err, result) {
+      if(err) return cb(err);
+      if(!result.value) return cb(null, []);
+      cb(null, utils.rewriteIds([result.value], self.schema));
     });
+  }
 
-    // Update the records
-    collection.updateMany(query.criteria.where, { '$set': values }, function(err, result) {
-      if(err) return cb(err);
+  // Otherwise run the lookup, update and read back, on the same snapshot when enabled
+  this._withSnapshot(options, function(session, done) {
+    var writeOptions = self._driverOptions({ session: session }, query);
 
-      // Look up newly inserted records to return the results of the update
-      collection.find({ _id: { '$in': updatedRecords }}).toArray(function(err, records) {
-        if(err) return cb(err);
-        cb(null, utils.rewriteIds(records, self.schema));
+    // Lookup records being updated and grab their ID's
+    // Required because options may not contain an ID
+    collection.find(where, _.extend({ projection: { _id: 1 } }, writeOptions)).toArray(function(err, records) {
+      if(err) return done(err);
+      if(!records) return done(Errors.NotFound);
+
+      var updatedRecords = records.map(function(record) {
+        return record._id;
+      });
+
+      if(updatedRecords.length === 0) return done(null, []);
+
+      // Only touch the records found above so the returned set matches what was modified,
+      // even if other documents start matching the criteria in the meantime
+      var filter = { '$and': [where, { _id: { '$in': updatedRecords } }] };
+
+      collection.updateMany(filter, update, writeOptions, function(err) {
+        if(err) return done(err);
+
+        // Look up the updated records to return the results of the update
+        collection.find({ _id: { '$in': updatedRecords } }, writeOptions).toArray(function(err, records) {
+          if(err) return done(err);
+          done(null, utils.rewriteIds(records, self.schema));
+        });
       });
     });
+  }, cb);
+};
+
+/**
+ * Upsert A Document
+ *
+ * Atomically update the first document matching the criteria, or insert a new
+ * one when nothing matches. Uses `findOneAndUpdate` with `upsert` so the
+ * resulting document comes back from the same command.
+ *
+ * Set `options.insertOnly` to leave an existing document untouched and only
+ * apply the values when inserting (used by `findOrCreate`). Its values can't
+ * hold update operators.
+ *
+ * The criteria are matched case-sensitively, whatever the `wlNext` settings,
+ * so their equality values are copied into an inserted document. Criteria
+ * matching every document are refused. Concurrent upserts can still both
+ * insert unless the criteria attributes have a unique index.
+ *
+ * @param {Object} criteria
+ * @param {Object} values
+ * @param {Object} [options]
+ * @param {Function} callback
+ * @api public
+ */
+
+Collection.prototype.upsert = function upsert(criteria, values, options, cb) {
+  var self = this,
+      query,
+      update;
+
+  if(typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  // Ignore `select` from waterline core
+  criteria = _.omit(utils.normalizeCriteria(criteria), 'select');
+
+  // Catch errors building the query or update and return to the callback
+  try {
+    // Case-insensitive matching would compile equality values to regular expressions,
+    // which aren't copied into the inserted document
+    query = new Query(criteria, this.schema, _.extend({}, this.config, { caseSensitive: true }));
+    update = this._buildUpdate(values);
+  } catch(err) {
+    return cb(err);
+  }
+
+  // Operators would have to apply to an existing document, which `insertOnly` leaves untouched
+  if(options.insertOnly && _.some(_.keys(update), function(key) { return key !== '$set'; })) {
+    return cb(new Error('Cannot use update operators in the values of a findOrCreate on `' + this.identity + '`'));
+  }
+
+  if(_.isEmpty(query.criteria.where)) {
+    return cb(new Error('Cannot upsert into `' + this.identity + '` with criteria matching every document'));
+  }
+
+  this._scopeDeleted(query);
+
+  if(options.insertOnly) {
+    update = { '$setOnInsert': update['$set'] };
+
+    // MongoDB before 5.0 rejects an empty `$setOnInsert`, so set at least the id,
+    // keeping the one the criteria match on when there is one
+    if(_.isEmpty(update['$setOnInsert'])) {
+      var id = query.criteria.where._id;
+      update['$setOnInsert']._id = id && !_.isPlainObject(id) ? id : new ObjectId();
+    }
+  }
+
+  var upsertOptions = _.extend({ upsert: true, returnOriginal: false }, this._driverOptions(options, query));
+
+  this.connection.client.db().collection(this.identity).findOneAndUpdate(query.criteria.where || {}, update, upsertOptions, function(err, result) {
+    if(err) return cb(err);
+    cb(null, utils.rewriteIds([result.value], self.schema)[0]);
   });
 };
 
 /**
  * Destroy Documents
  *
+ * The removed documents are returned. Set `options.fetch` to `'ids'` to only
+ * return their ids, or to `false` to skip looking them up at all.
+ *
  * @param {Object} criteria
+ * @param {Object} [options]
  * @param {Function} callback
  * @api public
  */
 
-Collection.prototype.destroy = function destroy(criteria, cb) {
+Collection.prototype.destroy = function destroy(criteria, options, cb) {
   var self = this,
       query;
 
+  if(typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
   // Ignore `select` from waterline core
   if (typeof criteria === 'object') {
     delete criteria.select;
@@ -272,32 +570,145 @@ Collection.prototype.destroy = function destroy(criteria, cb) {
   // Catch errors build query and return to the callback
   try {
     query = new Query(criteria, this.schema, this.config);
+    this._scopeDeleted(query);
   } catch(err) {
     return cb(err);
   }
 
+  var where = query.criteria.where || {};
+  var fetch = _.isUndefined(options.fetch) ? 'records' : options.fetch;
   var collection = this.connection.client.db().collection(self.identity);
-  collection.deleteMany(query.criteria.where, function(err, results) {
-    if(err) return cb(err);
 
-    // Force to array to meet Waterline API
-    let resultsArray = [];
+  // Soft-deleted models only get flagged instead of removed
+  function remove(filter, writeOptions, done) {
+    if(!self.softDelete) return collection.deleteMany(filter, writeOptions, done);
 
-    // If result is not an array return an array
-    if(!Array.isArray(results)) {
-      resultsArray.push({ id: results });
-      return cb(null, resultsArray);
-    }
+    collection.updateMany(filter, self._softDeleteUpdate(), writeOptions, done);
+  }
+
+  // Skip looking up the matched documents entirely, e.g. for very large bulk deletes
+  if(!fetch) {
+    return remove(where, this._driverOptions(options, query), function(err) {
+      if(err) return cb(err);
+      cb(null, []);
+    });
+  }
+
+  this._withSnapshot(options, function(session, done) {
+    var writeOptions = self._driverOptions({ session: session }, query);
+    var findOptions = fetch === 'ids' ? _.extend({ projection: { _id: 1 } }, writeOptions) : writeOptions;
+
+    // Capture the matched documents first so the ones actually removed can be returned
+    collection.find(where, findOptions).toArray(function(err, records) {
+      if(err) return done(err);
+      if(records.length === 0) return done(null, []);
+
+      var ids = records.map(function(record) {
+        return record._id;
+      });
 
-    // Create a valid array of IDs
-    results.forEach(function(result) {
-      resultsArray.push({ id: result });
+      remove({ _id: { '$in': ids } }, writeOptions, function(err) {
+        if(err) return done(err);
+        done(null, utils.normalizeResults(records, self.schema));
+      });
     });
+  }, cb);
+};
+
+/**
+ * Bulk Write
+ *
+ * Run a list of insert, update, upsert and destroy operations written in
+ * Waterline syntax as a single driver `bulkWrite`:
+ *
+ *   { type: 'insert', values: {...} }
+ *   { type: 'update', criteria: {...}, values: {...} }
+ *   { type: 'upsert', criteria: {...}, values: {...} }
+ *   { type: 'destroy', criteria: {...} }
+ *
+ * Criteria may be shorthand for their `where` clause. Update, upsert and
+ * destroy operations whose criteria match every document are refused unless
+ * they are flagged with `all: true`.
+ *
+ * Operations run in order and stop at the first error unless `options.ordered`
+ * is `false`. Failed operations are reported in the `errors` array of the result
+ * as `{ index, error }` rather than failing the whole call; a write concern
+ * error still fails it.
+ *
+ * @param {Array} operations
+ * @param {Object} [options]
+ * @param {Function} callback
+ * @api public
+ */
+
+Collection.prototype.bulkWrite = function bulkWrite(operations, options, cb) {
+  var self = this,
+      writes;
+
+  if(typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  var ordered = options.ordered !== false;
+
+  // Catch errors translating the operations and return to the callback
+  try {
+    writes = operations.map(function(operation, index) {
+      return self._buildWrite(operation, index);
+    });
+  } catch(err) {
+    return cb(err);
+  }
+
+  if(writes.length === 0) return cb(null, this._bulkResult(writes, null, [], ordered));
 
-    cb(null, utils.rewriteIds(resultsArray, self.schema));
+  var bulkOptions = _.extend({ ordered: ordered }, this._driverOptions(options));
+
+  this.connection.client.db().collection(this.identity).bulkWrite(writes, bulkOptions, function(err, result) {
+    if(!err) return cb(null, self._bulkResult(writes, result, [], ordered));
+
+    // Errors that are not about single operations (e.g. network failures or a write concern
+    // error) fail the whole bulk write
+    var errors = utils.clarifyWriteErrors(err);
+    if(!errors.length || err.result.getWriteConcernError()) return cb(err);
+
+    cb(null, self._bulkResult(writes, err.result, errors, ordered));
   });
 };
 
+/**
+ * Restore Soft-Deleted Documents
+ *
+ * Clear the soft-delete flag on the deleted documents matching the criteria
+ * and return them.
+ *
+ * @param {Object} criteria
+ * @param {Object} [options]
+ * @param {Function} callback
+ * @api public
+ */
+
+Collection.prototype.restore = function restore(criteria, options, cb) {
+  if(typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+
+  if(!this.softDelete) {
+    return cb(new Error('Cannot restore records of `' + this.identity + '`, soft delete is not enabled for it.'));
+  }
+
+  criteria = _.extend(utils.normalizeCriteria(criteria), { withDeleted: true });
+  criteria.where = _.extend({}, criteria.where);
+  criteria.where[this.softDelete] = { '!': null };
+
+  var values = { '$unset': {} };
+  values['$unset'][this.softDelete] = '';
+
+  this.update(criteria, values, options, cb);
+};
+
 /**
  * Count Documents
  *
@@ -319,17 +730,56 @@ Collection.prototype.count = function count(criteria, cb) {
   // Catch errors build query and return to the callback
   try {
     query = new Query(criteria, this.schema, this.config);
+    this._scopeDeleted(query);
   } catch(err) {
     return cb(err);
   }
 
-  this.connection.client.db().collection(this.identity).count(query.criteria.where, function(err, count) {
+  this._readCollection(query).count(query.criteria.where, this._driverOptions({}, query), function(err, count) {
     if (err) return cb(err);
     cb(null, count);
   });
 };
 
 
+/**
+ * Describe The Collection
+ *
+ * Introspects the collection as it exists in the database. Calls back with
+ * nothing when it doesn't exist; otherwise with the attributes, keyed by
+ * column name, whose types are inferred from a sample of documents, and
+ * with the indexes and JSON-schema validator of the collection.
+ *
+ * @param {Function} callback
+ * @api public
+ */
+
+Collection.prototype.describe = function describe(cb) {
+  var self = this;
+  var db = this.connection.client.db();
+
+  db.listCollections({ name: this.identity }).toArray(function(err, infos) {
+    if(err) return cb(err);
+    if(!infos.length) return cb();
+
+    var collection = db.collection(self.identity);
+
+    collection.indexes(function(err, indexes) {
+      if(err) return cb(err);
+
+      collection.aggregate([{ $sample: { size: DESCRIBE_SAMPLE_SIZE } }]).toArray(function(err, docs) {
+        if(err) return cb(err);
+
+        cb(null, self._describeAttributes(docs, indexes), {
+          indexes: indexes,
+          validator: _.get(infos[0], 'options.validator', null)
+        });
+      });
+    });
+  });
+};
+
+
 /////////////////////////////////////////////////////////////////////////////////
 // PRIVATE METHODS
 /////////////////////////////////////////////////////////////////////////////////
@@ -354,6 +804,432 @@ Collection.prototype._getPK = function _getPK () {
 };
 
 
+/**
+ * Build the attributes of a described collection.
+ *
+ * The type of each field is inferred from the sampled documents, falling back
+ * to `json` when they disagree. Single-field indexes flag their attribute as
+ * `unique` or `index`, adding it as `json` when it is missing from the sample.
+ * Only what is stored is described, never the attributes of the definition.
+ *
+ * @param {Array} docs
+ * @param {Array} indexes
+ * @return {Object}
+ * @api private
+ */
+
+Collection.prototype._describeAttributes = function _describeAttributes(docs, indexes) {
+  var pk = this._getPK();
+  var attributes = {};
+
+  docs.forEach(function(doc) {
+    _.each(doc, function(value, key) {
+      var type = inferType(value);
+      var name = key === '_id' ? pk : key;
+      if(!type) return;
+
+      var attribute = attributes[name] = attributes[name] || { type: type };
+      if(attribute.type === type) return;
+
+      // Integers and floats sampled for the same field make it a float field
+      attribute.type = _.includes(['integer', 'float'], attribute.type) && _.includes(['integer', 'float'], type) ? 'float' : 'json';
+    });
+  });
+
+  if(attributes[pk]) attributes[pk].primaryKey = true;
+
+  _.each(indexes, function(index) {
+    var fields = _.keys(index.key);
+    if(fields.length !== 1 || fields[0] === '_id') return;
+
+    // The field of an index may be missing from the sample, its type is then unknown
+    var attribute = attributes[fields[0]] = attributes[fields[0]] || { type: 'json' };
+
+    if(index.unique) attribute.unique = true;
+    else attribute.index = true;
+  });
+
+  return attributes;
+};
+
+/**
+ * Infer the Waterline type of a stored value, or nothing for `null`.
+ *
+ * @param {*} value
+ * @return {String}
+ * @api private
+ */
+
+function inferType(value) {
+  if(value === null || _.isUndefined(value)) return;
+  if(value instanceof ObjectId) return 'objectid';
+  if(_.isDate(value)) return 'datetime';
+  if(value instanceof Binary || Buffer.isBuffer(value)) return 'binary';
+  if(Array.isArray(value)) return 'array';
+  if(_.isString(value)) return 'string';
+  if(_.isBoolean(value)) return 'boolean';
+  if(_.isNumber(value)) return _.isInteger(value) ? 'integer' : 'float';
+  return 'json';
+}
+
+/**
+ * Translate a single Waterline bulk operation into a driver write model.
+ *
+ * @param {Object} operation
+ * @param {Number} index
+ * @return {Object}
+ * @api private
+ */
+
+Collection.prototype._buildWrite = function _buildWrite(operation, index) {
+  var query;
+
+  if(operation.type === 'insert') {
+    var document = new Document(_.clone(operation.values), this.schema).values;
+
+    // Assign the id up front so it can be reported against this operation's index
+    if(!document._id) document._id = new ObjectId();
+
+    return { insertOne: { document: document } };
+  }
+
+  if(['update', 'upsert', 'destroy', 'delete'].indexOf(operation.type) === -1) {
+    throw new Error('Unknown bulk operation type `' + operation.type + '` at index ' + index);
+  }
+
+  // Upserts match case-sensitively so their equality values get copied into inserted documents (see `upsert`)
+  var config = operation.type === 'upsert' ? _.extend({}, this.config, { caseSensitive: true }) : this.config;
+  query = new Query(utils.normalizeCriteria(operation.criteria), this.schema, config);
+
+  // Never touch every document by accident, e.g. because of a misspelled criteria
+  if(_.isEmpty(query.criteria.where) && !operation.all) {
+    throw new Error('Bulk ' + operation.type + ' operation at index ' + index + ' matches every document, set `all: true` to allow it');
+  }
+
+  this._scopeDeleted(query);
+
+  var model = _.extend({ filter: query.criteria.where || {} }, _.omit(this._driverOptions({}, query), 'session'));
+
+  if(operation.type === 'update') {
+    return { updateMany: _.extend(model, { update: this._buildUpdate(operation.values) }) };
+  }
+
+  if(operation.type === 'upsert') {
+    return { updateOne: _.extend(model, { update: this._buildUpdate(operation.values), upsert: true }) };
+  }
+
+  // Soft-deleted models only get flagged instead of removed
+  if(this.softDelete) {
+    return { updateMany: _.extend(model, { update: this._softDeleteUpdate() }) };
+  }
+
+  return { deleteMany: model };
+};
+
+
+/**
+ * Summarize the outcome of a bulk write.
+ *
+ * @param {Array} writes
+ * @param {BulkWriteResult} result
+ * @param {Array} errors
+ * @param {Boolean} ordered
+ * @return {Object}
+ * @api private
+ */
+
+Collection.prototype._bulkResult = function _bulkResult(writes, result, errors, ordered) {
+  var failed = _.map(errors, 'index');
+
+  // An ordered bulk write stops at its first failing operation
+  var stoppedAt = ordered && failed.length ? _.min(failed) : writes.length;
+
+  var inserted = [];
+  writes.forEach(function(write, index) {
+    if(!write.insertOne || index >= stoppedAt || failed.indexOf(index) > -1) return;
+    inserted.push({ index: index, _id: write.insertOne.document._id });
+  });
+
+  var upserted = result ? _.map(result.getUpsertedIds(), function(upsert) {
+    return { index: upsert.index, _id: upsert._id };
+  }) : [];
+
+  return {
+    insertedCount: inserted.length,
+    matchedCount: result ? result.nMatched : 0,
+    modifiedCount: result ? result.nModified || 0 : 0,
+    deletedCount: result ? result.nRemoved : 0,
+    upsertedCount: upserted.length,
+    insertedIds: utils.rewriteIds(inserted),
+    upsertedIds: utils.rewriteIds(upserted),
+    errors: errors
+  };
+};
+
+
+/**
+ * Build the change stream pipeline for a where clause. Fields are matched
+ * against the changed document; deletes carry no document, so they always
+ * pass the filter.
+ *
+ * @param {Object} where
+ * @return {Array}
+ * @api private
+ */
+
+Collection.prototype._changeStreamPipeline = function _changeStreamPipeline(where) {
+  var match = { operationType: { '$in': ['insert', 'update', 'replace', 'delete'] } };
+
+  function prefix(clause) {
+    return _.reduce(clause, function(obj, val, key) {
+      if(['$or', '$and', '$nor'].indexOf(key) > -1) obj[key] = _.map(val, prefix);
+      else if(key.charAt(0) === '$') obj[key] = val;
+      else obj['fullDocument.' + key] = val;
+      return obj;
+    }, {});
+  }
+
+  if(!_.isEmpty(where)) {
+    match['$or'] = [{ operationType: 'delete' }, prefix(where)];
+  }
+
+  return [{ '$match': match }];
+};
+
+
+/**
+ * Build the update flagging documents as soft-deleted, used instead of removing
+ * them when the model has soft delete enabled.
+ *
+ * @return {Object}
+ * @api private
+ */
+
+Collection.prototype._softDeleteUpdate = function _softDeleteUpdate() {
+  var update = { '$set': {} };
+  update['$set'][this.softDelete] = new Date();
+  return update;
+};
+
+
+/**
+ * Exclude soft-deleted documents from a query, unless the criteria opted in
+ * with `withDeleted` or explicitly filters on the soft-delete attribute.
+ *
+ * @param {Query} query
+ * @api private
+ */
+
+Collection.prototype._scopeDeleted = function _scopeDeleted(query) {
+  if(!this.softDelete || query.withDeleted) return;
+
+  var where = query.criteria.where || {};
+  if(utils.object.hasOwnProperty(where, this.softDelete)) return;
+
+  // Matches documents where the attribute is either null or missing
+  where[this.softDelete] = null;
+  query.criteria.where = where;
+};
+
+
+/**
+ * Build the options passed to the driver for a read or a write, keeping only
+ * the ones the adapter threads through every operation: a transaction session
+ * and the collation of the query, if any. Read preference and read concern are
+ * set on the collection instead (see `_readCollection`).
+ *
+ * @param {Object} options
+ * @param {Query} [query]
+ * @return {Object}
+ * @api private
+ */
+
+Collection.prototype._driverOptions = function _driverOptions(options, query) {
+  var driverOptions = {};
+  if(options && options.session) driverOptions.session = options.session;
+  if(query && query.collation) driverOptions.collation = query.collation;
+  return driverOptions;
+};
+
+
+/**
+ * Get the driver collection to read from, with the read preference and read
+ * concern of the query, or else the model defaults.
+ *
+ * @param {Query} query
+ * @return {Object}
+ * @api private
+ */
+
+Collection.prototype._readCollection = function _readCollection(query) {
+  var readOptions = {};
+  var readPreference = query.readPreference || this.readPreference;
+  var readConcern = query.readConcern || this.readConcern;
+
+  if(readPreference) readOptions.readPreference = readPreference;
+  if(readConcern) readOptions.readConcern = readConcern;
+
+  return this.connection.client.db().collection(this.identity, readOptions);
+};
+
+
+/**
+ * Build a Mongo update document from Waterline values.
+ *
+ * Plain values are written with `$set`, while the supported update operators
+ * (`$inc`, `$push`, etc.) are passed through with each field serialized by
+ * `Document` so ObjectId and foreign key conversion still applies.
+ *
+ * @param {Object} values
+ * @return {Object}
+ * @api private
+ */
+
+Collection.prototype._buildUpdate = function _buildUpdate(values) {
+  var self = this;
+  var update = {};
+  var set = {};
+
+  _.each(values, function(val, key) {
+    if(key.charAt(0) !== '$') {
+      set[key] = val;
+      return;
+    }
+
+    if(UPDATE_OPERATORS.indexOf(key) === -1) {
+      throw new Error('Unsupported update operator `' + key + '` in sails-mongo');
+    }
+
+    // These operators take flags rather than values, so there is nothing to serialize
+    if(key === '$unset' || key === '$currentDate') {
+      update[key] = _.omit(val, 'id', '_id');
+      return;
+    }
+
+    update[key] = self._serializeOperator(key, val);
+  });
+
+  set = new Document(set, this.schema).values;
+
+  // Mongo doesn't allow ID's to be updated
+  delete set.id;
+  delete set._id;
+
+  if(!_.isEmpty(set) || _.isEmpty(update)) update['$set'] = set;
+
+  return update;
+};
+
+
+/**
+ * Serialize the fields of a single update operator, including the values
+ * nested in `$each` (for `$push`/`$addToSet`) and `$in` (for `$pull`).
+ *
+ * @param {String} operator
+ * @param {Object} fields
+ * @return {Object}
+ * @api private
+ */
+
+Collection.prototype._serializeOperator = function _serializeOperator(operator, fields) {
+  var self = this;
+
+  function serialize(key, val) {
+    var values = {};
+    values[key] = val;
+    return new Document(values, self.schema).values[key];
+  }
+
+  return _.reduce(fields, function(result, val, key) {
+    if(key === 'id' || key === '_id') return result;
+
+    if(_.isPlainObject(val) && (_.isArray(val['$each']) || _.isArray(val['$in']))) {
+      result[key] = _.mapValues(val, function(modifierVal, modifier) {
+        if(modifier !== '$each' && modifier !== '$in') return modifierVal;
+        return modifierVal.map(function(item) {
+          return serialize(key, item);
+        });
+      });
+      return result;
+    }
+
+    result[key] = serialize(key, val);
+    return result;
+  }, {});
+};
+
+
+/**
+ * Check whether a where clause can only ever match a single document, i.e.
+ * it holds an exact `_id` equality.
+ *
+ * @param {Object} where
+ * @return {Boolean}
+ * @api private
+ */
+
+Collection.prototype._isSingleDocument = function _isSingleDocument(where) {
+  if(!where || !utils.object.hasOwnProperty(where, '_id')) return false;
+
+  var id = where._id;
+  return id instanceof ObjectId || _.isString(id) || _.isNumber(id);
+};
+
+
+/**
+ * Run `fn` so that the reads and writes it issues observe a single snapshot.
+ *
+ * When the caller already provides a session it is reused, so the work joins its
+ * transaction. Otherwise `fn` runs without a session, unless the connection opts
+ * in with `snapshotWrites`: a transaction is then started on servers that support
+ * them (replica sets and mongos). Transactions are bounded in time and size, so
+ * they are not the default for writes that may touch large collections.
+ * Transactions must read from the primary, so the transaction overrides the read
+ * preference of the connection; the write concern of the connection is kept.
+ *
+ * @param {Object} options
+ * @param {Function} fn called with `(session, done)`
+ * @param {Function} cb
+ * @api private
+ */
+
+Collection.prototype._withSnapshot = function _withSnapshot(options, fn, cb) {
+  var self = this;
+
+  if(options && options.session) return fn(options.session, cb);
+  if(!this.connection.config || !this.connection.config.snapshotWrites) return fn(undefined, cb);
+
+  this.connection.supportsTransactions(function(err, supported) {
+    if(err) return cb(err);
+    if(!supported) return fn(undefined, cb);
+
+    var session = self.connection.startSession();
+
+    try {
+      session.startTransaction({ readConcern: { level: 'snapshot' }, readPreference: ReadPreference.primary });
+    } catch(err) {
+      session.endSession();
+      return cb(err);
+    }
+
+    fn(session, function(err, results) {
+      if(err) {
+        return session.abortTransaction(function() {
+          session.endSession();
+          cb(err);
+        });
+      }
+
+      session.commitTransaction(function(err) {
+        session.endSession();
+        if(err) return cb(err);
+        cb(null, results);
+      });
+    });
+  });
+};
+
+
 /**
  * Parse Collection Definition
  *
@@ -384,6 +1260,28 @@ Collection.prototype._parseDefinition = function _parseDefinition(definition) {
     }
   });
 
+  // Pick the validation rules back from the attributes as defined on the model
+  _.each(definition._attributes, function(attribute, name) {
+    var column = attribute.columnName || name;
+    if(!_.isPlainObject(attribute) || !self.schema[column]) return;
+    _.defaults(self.schema[column], _.pick(attribute, VALIDATION_RULES));
+  });
+
+  // Default read preference and read concern of the model's queries
+  this.readPreference = utils.readPreference(definition.readPreference);
+  this.readConcern = utils.readConcern(definition.readConcern);
+
+  // Hold the model-level index definitions, built along with the attribute indexes
+  this.modelIndexes = definition.indexes || [];
+
+  // How existing indexes are reconciled with the definition when the collection is defined
+  this.migrate = definition.migrate || 'safe';
+
+  // Soft-deleted records are flagged with a timestamp in this attribute instead of being removed
+  if(definition.softDelete) {
+    this.softDelete = _.isString(definition.softDelete) ? definition.softDelete : 'deletedAt';
+  }
+
   // Set the identity
 	var ident = definition.tableName ? definition.tableName : definition.identity.toLowerCase();
 	this.identity = _.clone(ident);
@@ -398,6 +1296,13 @@ Collection.prototype._parseDefinition = function _parseDefinition(definition) {
 Collection.prototype._buildIndexes = function _buildIndexes() {
   var self = this;
 
+  // String indexes share the collation of case-insensitive queries so those can use them
+  var collation = utils.collation(this.config);
+
+  // Mongo allows a single text index per collection, holding every `textIndex` attribute
+  var textIndex = {};
+  var weights = {};
+
   Object.keys(this.schema).forEach(function(key) {
     var index = {};
     var options = {};
@@ -407,6 +1312,23 @@ Collection.prototype._buildIndexes = function _buildIndexes() {
       return;
     }
 
+    // Geospatial attributes are queried with spherical geometry
+    if(GEO_TYPES.indexOf(self.schema[key].type) > -1) {
+      index[key] = '2dsphere';
+      self.indexes.push({ index: index, options: options });
+      return;
+    }
+
+    // Collect text index fields, `textIndex` is either `true` or `{ weight: <number> }`
+    if(self.schema[key].textIndex) {
+      textIndex[key] = 'text';
+      weights[key] = self.schema[key].textIndex.weight || 1;
+    }
+
+    if(collation && ['string', 'text', 'email'].indexOf(self.schema[key].type) > -1) {
+      options.collation = collation;
+    }
+
     // Handle Unique Indexes
     if(self.schema[key].unique) {
 
@@ -436,4 +1358,95 @@ Collection.prototype._buildIndexes = function _buildIndexes() {
       return;
     }
   });
+
+  if(!_.isEmpty(textIndex)) {
+    this.indexes.push({ index: textIndex, options: { weights: weights } });
+  }
+
+  this.modelIndexes.forEach(function(definition) {
+    self.indexes.push(self._buildModelIndex(definition));
+  });
+};
+
+/**
+ * Build an index from a model-level `indexes` entry:
+ *
+ *   {
+ *     attributes: { lastName: 1, firstName: -1 },   // or ['lastName', 'firstName']
+ *     name: 'by_name',
+ *     unique: true,
+ *     sparse: true,
+ *     expireAfterSeconds: 3600,
+ *     partialFilterExpression: { age: { '>=': 18 } },  // Waterline where syntax
+ *     collation: { locale: 'en', strength: 2 }        // or `true` for that default
+ *   }
+ *
+ * @param {Object} definition
+ * @return {Object}
+ * @api private
+ */
+
+Collection.prototype._buildModelIndex = function _buildModelIndex(definition) {
+  var index = {};
+  var options = _.pick(definition, 'name', 'unique', 'sparse', 'expireAfterSeconds');
+
+  if(_.isArray(definition.attributes)) {
+    definition.attributes.forEach(function(key) {
+      index[key] = 1;
+    });
+  } else {
+    index = _.clone(definition.attributes);
+  }
+
+  if(_.isEmpty(index)) {
+    throw new Error('Index definitions of `' + this.identity + '` need at least one attribute');
+  }
+
+  // Partial filters can't hold regular expressions, so compile them case sensitively
+  if(definition.partialFilterExpression) {
+    var query = new Query({ where: _.cloneDeep(definition.partialFilterExpression) }, this.schema, { caseSensitive: true });
+    options.partialFilterExpression = query.criteria.where;
+  }
+
+  if(definition.collation) {
+    options.collation = utils.collation({ collation: definition.collation });
+  }
+
+  return { index: index, options: options };
+};
+
+/**
+ * Build a `$jsonSchema` validator from the attributes: their BSON type,
+ * `required`, `enum`/`in`, `minLength` and `maxLength`. Attributes that
+ * aren't required may also be null. The primary key is left out.
+ *
+ * @return {Object}
+ * @api private
+ */
+
+Collection.prototype._buildValidator = function _buildValidator() {
+  var pk = this._getPK();
+  var properties = {};
+  var required = [];
+
+  _.each(this.schema, function(attribute, name) {
+    if(name === pk) return;
+
+    var property = {};
+    var bsonType = BSON_TYPES[attribute.type];
+    var values = attribute.enum || attribute.in;
+
+    if(bsonType) property.bsonType = attribute.required ? bsonType : [bsonType, 'null'];
+    if(Array.isArray(values)) property.enum = attribute.required ? values : values.concat(null);
+    if(_.isNumber(attribute.minLength)) property.minLength = attribute.minLength;
+    if(_.isNumber(attribute.maxLength)) property.maxLength = attribute.maxLength;
+
+    if(attribute.required) required.push(name);
+    properties[name] = property;
+  });
+
+  var schema = { bsonType: 'object', properties: properties };
+  if(required.length) schema.required = required;
+
+  return { $jsonSchema: schema };
 };
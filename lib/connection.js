@@ -54,12 +54,17 @@ var Connection = module.exports = function Connection(config, cb) {
 Connection.prototype.createCollection = function createCollection(name, collection, cb) {
     var self = this;
 
-    // Create the Collection
-    this.client.db().createCollection(name, function (err, result) {
+    // Attach the validator first, so a new collection is created with it
+    this._applyValidator(name, collection.validator, function (err) {
         if (err) return cb(err);
 
-        // Create Indexes
-        self._ensureIndexes(result, collection.indexes, cb);
+        // Create the Collection
+        self.client.db().createCollection(name, function (err, result) {
+            if (err) return cb(err);
+
+            // Bring the existing indexes in line with the definition
+            self._reconcileIndexes(result, collection.indexes, collection.migrate, cb);
+        });
     });
 };
 
@@ -76,6 +81,47 @@ Connection.prototype.dropCollection = function dropCollection(name, cb) {
 };
 
 
+/**
+ * Start A Client Session
+ *
+ * Sessions are used to group several operations into a single
+ * multi-document transaction.
+ *
+ * @param {Object} [options]
+ * @return {ClientSession}
+ * @api public
+ */
+
+Connection.prototype.startSession = function startSession(options) {
+    return this.client.startSession(options);
+};
+
+/**
+ * Check whether the server supports multi-document transactions, i.e. whether
+ * it is a replica set member running MongoDB 4.0+ (wire version 7) or a mongos
+ * running MongoDB 4.2+ (wire version 8). The answer is cached after the first
+ * lookup.
+ *
+ * @param {Function} cb
+ * @api public
+ */
+
+Connection.prototype.supportsTransactions = function supportsTransactions(cb) {
+    var self = this;
+
+    if (typeof this._supportsTransactions === 'boolean') {
+        return cb(null, this._supportsTransactions);
+    }
+
+    this.client.db().command({isMaster: 1}, function (err, result) {
+        if (err) return cb(err);
+        var wireVersion = result.maxWireVersion || 0;
+        self._supportsTransactions = result.msg === 'isdbgrid' ? wireVersion >= 8 : !!result.setName && wireVersion >= 7;
+        cb(null, self._supportsTransactions);
+    });
+};
+
+
 /////////////////////////////////////////////////////////////////////////////////
 // PRIVATE METHODS
 /////////////////////////////////////////////////////////////////////////////////
@@ -143,6 +189,9 @@ Connection.prototype._buildConnection = function _buildConnection(cb) {
         connectionOptions.reconnectTries = availableConfiguration.reconnectTries;
     } else {
         connectionOptions.useUnifiedTopology = true
+        if (availableConfiguration.readPreference) {
+            connectionOptions.readPreference = availableConfiguration.readPreference;
+        }
     }
     let connectionString;
     if (availableConfiguration.url){
@@ -194,3 +243,199 @@ Connection.prototype._ensureIndexes = function _ensureIndexes(collection, indexe
 
     async.each(indexes, createIndex, cb);
 };
+
+/**
+ * Apply Validator
+ *
+ * Creates the collection with the validator, or replaces the validator of an
+ * existing collection with `collMod`, using the connection's
+ * `validationLevel` and `validationAction`.
+ *
+ * @param {String} name
+ * @param {Object} validator
+ * @param {Function} cb
+ * @api private
+ */
+
+Connection.prototype._applyValidator = function _applyValidator(name, validator, cb) {
+    if (!validator) return cb();
+
+    var db = this.client.db();
+    var options = {
+        validator: validator,
+        validationLevel: this.config.validationLevel,
+        validationAction: this.config.validationAction
+    };
+
+    db.listCollections({name: name}, {nameOnly: true}).toArray(function (err, collections) {
+        if (err) return cb(err);
+        if (!collections.length) return db.createCollection(name, options, cb);
+        db.command(_.extend({collMod: name}, options), cb);
+    });
+};
+
+/**
+ * Reconcile Indexes
+ *
+ * Lists the indexes that already exist on the collection, diffs them against
+ * the definition and creates, drops or rebuilds them according to the
+ * `migrate` strategy (see `_diffIndexes`).
+ *
+ * @param {Object} collection
+ * @param {Array} indexes
+ * @param {String} strategy
+ * @param {Function} cb
+ * @api private
+ */
+
+Connection.prototype._reconcileIndexes = function _reconcileIndexes(collection, indexes, strategy, cb) {
+    var self = this;
+
+    collection.indexes(function (err, existing) {
+        if (err) return cb(err);
+
+        var diff = self._diffIndexes(existing, indexes, strategy);
+
+        logger.log(`Reconciled indexes of ${collection.collectionName} (${strategy}): ` +
+            `created ${diff.create.length}, dropped ${diff.drop.length}, skipped ${diff.skip.length}` +
+            (diff.skip.length ? ` [${diff.skip.join(', ')}]` : ''));
+
+        // Drop first so rebuilt indexes can reuse their name and key
+        async.eachSeries(diff.drop, function (name, next) {
+            collection.dropIndex(name, next);
+        }, function (err) {
+            if (err) return cb(err);
+            self._ensureIndexes(collection, diff.create, cb);
+        });
+    });
+};
+
+/**
+ * Diff Indexes
+ *
+ * Compares the indexes existing on a collection with the ones built from the
+ * definition. An existing index matches a definition by name, or else by key;
+ * it conflicts when its key or options differ. Depending on the strategy:
+ *
+ *   - `safe`: only missing indexes are created, conflicts are skipped and
+ *     indexes missing from the definition are kept.
+ *   - `alter`: missing indexes are created, conflicting ones rebuilt and the
+ *     ones missing from the definition dropped.
+ *   - `drop`: every index is dropped and recreated.
+ *
+ * The `_id_` index is never touched.
+ *
+ * @param {Array} existing
+ * @param {Array} indexes
+ * @param {String} strategy
+ * @return {Object} `{ create: [Object], drop: [String], skip: [String] }`
+ * @api private
+ */
+
+Connection.prototype._diffIndexes = function _diffIndexes(existing, indexes, strategy) {
+    var diff = { create: [], drop: [], skip: [] };
+
+    existing = _.reject(existing, { name: '_id_' });
+
+    if (strategy === 'drop') {
+        diff.drop = _.map(existing, 'name');
+        diff.create = indexes.slice();
+        return diff;
+    }
+
+    var matched = [];
+
+    _.each(indexes, function (item) {
+        var name = indexName(item);
+        var current = _.find(existing, { name: name }) || _.find(existing, function (index) {
+            return sameKey(index, item);
+        });
+
+        if (!current) return diff.create.push(item);
+        matched.push(current.name);
+
+        if (current.name === name && sameKey(current, item) && sameOptions(current, item)) return;
+
+        if (strategy !== 'alter') return diff.skip.push(current.name);
+        diff.drop.push(current.name);
+        diff.create.push(item);
+    });
+
+    if (strategy === 'alter') {
+        _.each(existing, function (index) {
+            if (matched.indexOf(index.name) < 0) diff.drop.push(index.name);
+        });
+    }
+
+    return diff;
+};
+
+
+/////////////////////////////////////////////////////////////////////////////////
+// INDEX HELPERS
+/////////////////////////////////////////////////////////////////////////////////
+
+
+/**
+ * The name Mongo gives an index: the explicit one, or its fields and
+ * directions joined with underscores (e.g. `lastName_1_firstName_-1`).
+ *
+ * @param {Object} item
+ * @return {String}
+ * @api private
+ */
+
+function indexName(item) {
+    if (item.options && item.options.name) return item.options.name;
+
+    return _.map(item.index, function (direction, field) {
+        return field + '_' + direction;
+    }).join('_');
+}
+
+/**
+ * Whether an existing index covers the same fields, in the same order and
+ * direction, as a built one. Text indexes are stored by Mongo under `_fts`,
+ * so their fields are compared through the weights instead.
+ *
+ * @param {Object} index
+ * @param {Object} item
+ * @return {Boolean}
+ * @api private
+ */
+
+function sameKey(index, item) {
+    var fields = _.keys(item.index);
+
+    if (_.includes(_.values(item.index), 'text')) {
+        var weights = _.fromPairs(_.map(fields, function (field) {
+            return [field, _.get(item.options, ['weights', field], 1)];
+        }));
+        return index.key._fts === 'text' && _.isEqual(index.weights, weights);
+    }
+
+    return _.isEqual(_.keys(index.key), fields) && _.isEqual(index.key, item.index);
+}
+
+/**
+ * Whether an existing index has the options of a built one. Only the options
+ * the adapter sets are compared; the collation is compared on the fields
+ * given, as Mongo fills in the rest.
+ *
+ * @param {Object} index
+ * @param {Object} item
+ * @return {Boolean}
+ * @api private
+ */
+
+function sameOptions(index, item) {
+    var options = item.options || {};
+
+    if (!!index.unique !== !!options.unique) return false;
+    if (!!index.sparse !== !!options.sparse) return false;
+    if (index.expireAfterSeconds !== options.expireAfterSeconds) return false;
+    if (!_.isEqual(index.partialFilterExpression, options.partialFilterExpression)) return false;
+
+    if (!index.collation || !options.collation) return !index.collation && !options.collation;
+    return _.isMatch(index.collation, options.collation);
+}
@@ -107,7 +107,12 @@ Document.prototype.serializeValues = function serializeValues(values) {
       values[key] = new ObjectId.createFromHexString(values[key]);
     }
 
-    if(type === 'json') {
+    // Points may be given as `[lng, lat]` or `{ lng, lat }` and are stored as GeoJSON
+    if(type === 'point') {
+      values[key] = self.serializePoint(values[key]);
+    }
+
+    if(type === 'json' || type === 'geojson') {
       try {
         val = JSON.parse(values[key]);
       } catch(e) {
@@ -119,3 +124,23 @@ Document.prototype.serializeValues = function serializeValues(values) {
 
   return values;
 };
+
+/**
+ * Serialize A Point
+ *
+ * @param {Array|Object} point
+ * @return {Object} a GeoJSON point
+ * @api private
+ */
+
+Document.prototype.serializePoint = function serializePoint(point) {
+  if(_.isArray(point)) {
+    return { type: 'Point', coordinates: point };
+  }
+
+  if(_.isPlainObject(point) && _.has(point, 'lng') && _.has(point, 'lat')) {
+    return { type: 'Point', coordinates: [point.lng, point.lat] };
+  }
+
+  return point;
+};
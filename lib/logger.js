@@ -3,5 +3,8 @@ module.exports = {
         if(process.env.LOG_SAILS_MONGO_ORM) {
             console.log(...params)
         }
+    },
+    warn(...params) {
+        console.warn(...params)
     }
 }
\ No newline at end of file
@@ -2,8 +2,38 @@
  * Module dependencies
  */
 
+const _ = require('@sailshq/lodash');
 const Errors = require('waterline-errors').adapter;
 
+/**
+ * Waterline aggregate options and the group accumulators they map to
+ */
+
+const ACCUMULATORS = {
+  sum: '$sum',
+  average: '$avg',
+  min: '$min',
+  max: '$max',
+  first: '$first',
+  last: '$last',
+  stdDevPop: '$stdDevPop',
+  stdDevSamp: '$stdDevSamp',
+  push: '$push',
+  addToSet: '$addToSet'
+};
+
+/**
+ * Date units a `groupBy` field can be bucketed by, and the key format of each bucket
+ */
+
+const DATE_FORMATS = {
+  hour: '%Y-%m-%dT%H',
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+  year: '%Y'
+};
+
 /**
  * Aggregate Constructor
  *
@@ -18,12 +48,24 @@ var Aggregate = module.exports = function Aggregate(options) {
   // Hold the criteria
   this.group = {};
 
+  // Hold fields computed from the group once it is built (e.g. distinct counts)
+  this.fields = {};
+
+  // Hold the keys the documents are grouped by
+  this.keys = [];
+
   // Build the group phase for an aggregation
   this.build(options);
 
-  return this.group;
+  return this;
 };
 
+/**
+ * Options that turn a criteria into an aggregate query
+ */
+
+Aggregate.options = ['groupBy', 'count', 'countDistinct'].concat(_.keys(ACCUMULATORS));
+
 /**
  * Build
  *
@@ -35,12 +77,11 @@ var Aggregate = module.exports = function Aggregate(options) {
  */
 
 Aggregate.prototype.build = function build(options) {
-  var self = this,
-      aggregateGroup = {},
-      aggregations = [];
+  var self = this;
 
   // Check if we have calculations to do
-  if(!options.sum && !options.average && !options.min && !options.max) {
+  var calculations = _.without(Aggregate.options, 'groupBy');
+  if(!_.some(calculations, function(option) { return options[option]; })) {
     throw Errors.InvalidGroupBy;
   }
 
@@ -48,27 +89,31 @@ Aggregate.prototype.build = function build(options) {
   this.group = { _id: this.groupBy(options) };
 
   // Build up the group for the $group aggregation phase
-  if(Array.isArray(options.sum)) {
-    options.sum.forEach(function(opt) {
-      self.group[opt] = { '$sum': '$' + opt };
-    });
-  }
+  _.each(ACCUMULATORS, function(accumulator, option) {
+    if(!Array.isArray(options[option])) return;
 
-  if(Array.isArray(options.average)) {
-    options.average.forEach(function(opt) {
-      self.group[opt] = { '$avg': '$' + opt };
+    options[option].forEach(function(opt) {
+      self.group[opt] = {};
+      self.group[opt][accumulator] = '$' + opt;
     });
+  });
+
+  // Count the documents in each group, or the non-null values of the given fields
+  if(options.count === true) {
+    this.group.count = { '$sum': 1 };
   }
 
-  if(Array.isArray(options.min)) {
-    options.min.forEach(function(opt) {
-      self.group[opt] = { '$min': '$' + opt };
+  if(Array.isArray(options.count)) {
+    options.count.forEach(function(opt) {
+      self.group[opt] = { '$sum': { '$cond': [{ '$gt': ['$' + opt, null] }, 1, 0] } };
     });
   }
 
-  if(Array.isArray(options.max)) {
-    options.max.forEach(function(opt) {
-      self.group[opt] = { '$max': '$' + opt };
+  // Collect the distinct values, then count them once grouped
+  if(Array.isArray(options.countDistinct)) {
+    options.countDistinct.forEach(function(opt) {
+      self.group[opt] = { '$addToSet': '$' + opt };
+      self.fields[opt] = { '$size': '$' + opt };
     });
   }
 };
@@ -78,19 +123,85 @@ Aggregate.prototype.build = function build(options) {
  *
  * Builds up the aggregation _id $group phase.
  *
+ * Besides field names, entries may bucket a date field by `hour`, `day`, `week`,
+ * `month` or `year`, e.g. `{ createdAt: 'day' }` or
+ * `{ createdAt: { unit: 'month', timezone: 'Europe/Berlin' } }`.
+ *
  * @param {Object} options
  * @api private
  */
 
 Aggregate.prototype.groupBy = function groupBy(options) {
+  var self = this;
   var group = {};
 
   if(!options.groupBy) return null;
   if(!Array.isArray(options.groupBy)) return null;
 
   options.groupBy.forEach(function(key) {
+    if(_.isPlainObject(key)) {
+      _.each(key, function(bucket, field) {
+        group[field] = self.dateBucket(field, bucket);
+        self.keys.push(field);
+      });
+      return;
+    }
+
     group[key] = '$' + key;
+    self.keys.push(key);
   });
 
   return group;
 };
+
+/**
+ * Date Bucket
+ *
+ * Builds the expression grouping a date field into buckets of the given unit,
+ * keyed by a string such as `2016-03-21` (day) or `2016-W12` (ISO week).
+ *
+ * @param {String} field
+ * @param {String|Object} bucket
+ * @return {Object}
+ * @api private
+ */
+
+Aggregate.prototype.dateBucket = function dateBucket(field, bucket) {
+  var unit = _.isPlainObject(bucket) ? bucket.unit : bucket;
+
+  if(!_.has(DATE_FORMATS, unit)) {
+    throw new Error('Invalid groupBy date unit `' + unit + '` for `' + field + '`, expected one of: ' + _.keys(DATE_FORMATS).join(', '));
+  }
+
+  var expression = { format: DATE_FORMATS[unit], date: '$' + field };
+  if(bucket.timezone) expression.timezone = bucket.timezone;
+
+  return { '$dateToString': expression };
+};
+
+/**
+ * Resolve
+ *
+ * Rewrites the keys of a parsed clause (e.g. `having` or `sort`) so they can
+ * be used after the $group phase, where grouped fields live under `_id`.
+ *
+ * @param {Object} clause
+ * @return {Object}
+ * @api private
+ */
+
+Aggregate.prototype.resolve = function resolve(clause) {
+  var self = this;
+
+  return _.reduce(clause, function(obj, val, key) {
+    if(['$or', '$and', '$nor'].indexOf(key) > -1 && Array.isArray(val)) {
+      obj[key] = val.map(function(item) {
+        return self.resolve(item);
+      });
+      return obj;
+    }
+
+    obj[self.keys.indexOf(key) > -1 ? '_id.' + key : key] = val;
+    return obj;
+  }, {});
+};
@@ -31,6 +31,9 @@ var Query = module.exports = function Query(options, schema, config) {
   // Hold the config object
   this.config = config || {};
 
+  // Collation for case-insensitive queries, when enabled instead of regular expressions
+  this.collation = utils.collation(this.config);
+
   // Check for Aggregate Options
   this.checkAggregate(options);
 
@@ -42,12 +45,59 @@ var Query = module.exports = function Query(options, schema, config) {
     this.select = {};
   }
 
+  // Retrieve the soft-delete opt-in from criteria
+  if (options && typeof options === 'object' && hop(options, 'withDeleted')) {
+    this.withDeleted = !!options.withDeleted;
+    delete options.withDeleted;
+  } else {
+    this.withDeleted = false;
+  }
+
+  // Retrieve the read preference and read concern from criteria
+  if (options && typeof options === 'object') {
+    this.readPreference = utils.readPreference(options.readPreference);
+    this.readConcern = utils.readConcern(options.readConcern);
+    delete options.readPreference;
+    delete options.readConcern;
+  } else {
+    this.readPreference = null;
+    this.readConcern = null;
+  }
+
+  // Retrieve full-text search from criteria
+  if (options && typeof options === 'object' && options.search) {
+    this.search = this.parseSearch(options.search);
+    this.scoreField = options.search.scoreField || Query.SCORE_FIELD;
+    delete options.search;
+  } else {
+    this.search = null;
+    this.scoreField = null;
+  }
+
   // Normalize Criteria
   this.criteria = this.normalizeCriteria(options);
 
+  // Add the full-text search and expose its relevance score
+  if (this.search) this.applySearch();
+
+  // A `near` query reporting distances runs as a $geoNear aggregation instead
+  if (this.geoNear) delete this.criteria.where[this.geoNear.key];
+
   return this;
 };
 
+/**
+ * Equatorial radius of the earth in meters, to convert distances to radians
+ */
+
+Query.EARTH_RADIUS = 6378100;
+
+/**
+ * Default name of the field holding the relevance score of a full-text search
+ */
+
+Query.SCORE_FIELD = 'score';
+
 /**
  * Check For Aggregates
  *
@@ -58,16 +108,80 @@ var Query = module.exports = function Query(options, schema, config) {
  */
 
 Query.prototype.checkAggregate = function checkAggregate(options) {
-  var aggregateOptions = ['groupBy', 'sum', 'average', 'min', 'max'];
-  var aggregates = _.intersection(aggregateOptions, Object.keys(options));
+  var aggregates = _.intersection(Aggregate.options, Object.keys(options));
 
   if(aggregates.length === 0) return options;
 
-  this.aggregateGroup = new Aggregate(options);
+  this.aggregation = new Aggregate(options);
+  this.aggregateGroup = this.aggregation.group;
+  this.aggregateHaving = options.having;
   this.aggregate = true;
 };
 
 
+/**
+ * Aggregate Pipeline
+ *
+ * Builds the stages of an aggregate query: the `$match` and `$group` phases,
+ * followed by fields computed from the groups, the `having` filter, then the
+ * criteria's sort, skip, limit and select. Having, sort and select may reference
+ * both grouped and aggregated fields.
+ *
+ * Sort keys that are neither grouped nor aggregated don't exist once grouped, so
+ * they sort the documents before the `$group` phase instead, e.g. to pick the
+ * documents of `first` and `last`.
+ *
+ * @return {Array}
+ * @api private
+ */
+
+Query.prototype.aggregatePipeline = function aggregatePipeline() {
+  var aggregation = this.aggregation;
+  var grouped = aggregation.keys.concat(_.without(_.keys(this.aggregateGroup), '_id'), _.keys(aggregation.fields));
+
+  function isGrouped(direction, key) {
+    return grouped.indexOf(key) > -1;
+  }
+
+  var documentSort = _.omit(this.criteria.sort, isGrouped);
+  var groupSort = _.pick(this.criteria.sort, isGrouped);
+
+  var pipeline = [{ '$match': this.criteria.where || {} }];
+
+  if(!_.isEmpty(documentSort)) {
+    pipeline.push({ '$sort': documentSort });
+  }
+
+  pipeline.push({ '$group': this.aggregateGroup });
+
+  if(!_.isEmpty(aggregation.fields)) {
+    pipeline.push({ '$addFields': aggregation.fields });
+  }
+
+  if(this.aggregateHaving) {
+    pipeline.push({ '$match': aggregation.resolve(this.parseWhere(this.aggregateHaving)) });
+  }
+
+  if(!_.isEmpty(groupSort)) {
+    pipeline.push({ '$sort': aggregation.resolve(groupSort) });
+  }
+
+  if(this.criteria.skip) {
+    pipeline.push({ '$skip': this.criteria.skip });
+  }
+
+  if(this.criteria.limit) {
+    pipeline.push({ '$limit': this.criteria.limit });
+  }
+
+  if(!_.isEmpty(this.select)) {
+    pipeline.push({ '$project': aggregation.resolve(this.select) });
+  }
+
+  return pipeline;
+};
+
+
 /**
  * Normalize Criteria
  *
@@ -127,9 +241,10 @@ Query.prototype.parseWhere = function parseWhere(original) {
  * @api private
  *
  * @param original
+ * @param {Boolean} [nested] whether the clause is inside a logical operator
  * @returns {*}
  */
-Query.prototype.parseClause = function parseClause(original) {
+Query.prototype.parseClause = function parseClause(original, nested) {
   "use strict";
   var self = this;
 
@@ -144,7 +259,7 @@ Query.prototype.parseClause = function parseClause(original) {
       // Value of $or, $and, $nor require an array, else ignore
       if (_.isArray(val)) {
         val = _.map(val, function (clause) {
-          return self.parseClause(clause);
+          return self.parseClause(clause, true);
         });
 
         obj[key] = val;
@@ -162,7 +277,7 @@ Query.prototype.parseClause = function parseClause(original) {
 
     // Default
     else {
-      val = self.parseExpression(key, val);
+      val = self.parseExpression(key, val, nested);
 
       // Normalize `id` key into mongo `_id`
       if (key === 'id' && !hop(this, '_id')) key = '_id';
@@ -188,9 +303,10 @@ Query.prototype.parseClause = function parseClause(original) {
  *
  * @param field
  * @param expression
+ * @param {Boolean} [nested] whether the expression is inside a logical operator or `not`
  * @returns {*}
  */
-Query.prototype.parseExpression = function parseExpression(field, expression) {
+Query.prototype.parseExpression = function parseExpression(field, expression, nested) {
   "use strict";
   var self = this;
 
@@ -202,7 +318,7 @@ Query.prototype.parseExpression = function parseExpression(field, expression) {
       if (modifier === '!' || modifier.toLowerCase() === 'not') {
 
         if (_.isPlainObject(val) && !_.has(val, '_bsontype')) {
-          obj['$not'] = self.parseExpression(field, val);
+          obj['$not'] = self.parseExpression(field, val, true);
           return obj;
         }
 
@@ -212,6 +328,11 @@ Query.prototype.parseExpression = function parseExpression(field, expression) {
         return obj;
       }
 
+      // Geospatial modifiers
+      if (['near', 'withinPolygon', 'withinRadius', 'intersects'].indexOf(modifier) > -1) {
+        return _.extend(obj, self.parseGeo(field, modifier, val, nested));
+      }
+
       // WQL Evaluation Modifiers for String
       if (_.isString(val)) {
         // Handle `contains` by building up a case insensitive regex
@@ -375,7 +496,8 @@ Query.prototype.parseValue = function parseValue(field, modifier, val) {
     // user.find('56173df732776c64852f8c91')
     //
     // Turn wlNext.caseSensitive flag to `true` to enable case sensitive requests when there is no modifier
-    if(!validator.isMongoId(val) && !this.config.caseSensitive){
+    // With a collation the value is sent as is, the collation makes the comparison case insensitive
+    if(!validator.isMongoId(val) && !this.config.caseSensitive && !this.collation){
       // Replace Percent Signs, work in a case insensitive fashion by default
       val = utils.caseInsensitive(val);
       val = val.replace(/%/g, '[\\s\\S]*');
@@ -424,3 +546,168 @@ Query.prototype.parseSelect = function parseSelect(original) {
 
   return select;
 };
+
+/**
+ * Parse Search
+ *
+ * <search> ::= <string>
+ *            | { terms: <string>, phrase: <string> | [<string>, ...],
+ *                exclude: <string> | [<string>, ...], language: <string>,
+ *                caseSensitive: <boolean>, diacriticSensitive: <boolean>,
+ *                scoreField: <field> }
+ *
+ * @param original
+ * @returns {Object} the `$text` expression
+ */
+Query.prototype.parseSearch = function parseSearch(original) {
+  if (_.isString(original)) return { $search: original };
+
+  var search = [];
+
+  if (original.terms) search.push(original.terms);
+
+  _.each([].concat(original.phrase || []), function (phrase) {
+    search.push('"' + phrase.replace(/"/g, '') + '"');
+  });
+
+  _.each([].concat(original.exclude || []), function (term) {
+    search.push('-' + term);
+  });
+
+  var text = { $search: search.join(' ') };
+
+  if (original.language) text.$language = original.language;
+  if (_.has(original, 'caseSensitive')) text.$caseSensitive = !!original.caseSensitive;
+  if (_.has(original, 'diacriticSensitive')) text.$diacriticSensitive = !!original.diacriticSensitive;
+
+  return text;
+};
+
+/**
+ * Apply Search
+ *
+ * Adds the `$text` expression to the where clause and, unless other fields
+ * are selected without it, projects the relevance score to `scoreField`.
+ * Sorting on the score always puts the most relevant documents first.
+ *
+ * The score would replace an attribute of the same name in the results, so
+ * such a search is refused: pick another `scoreField` instead.
+ */
+Query.prototype.applySearch = function applySearch() {
+  var criteria = this.criteria;
+  var field = this.scoreField;
+  var score = { $meta: 'textScore' };
+
+  if (this.schema && hop(this.schema, field)) {
+    throw new Error('The relevance score of a full-text search would override the `' + field + '` attribute, set `search.scoreField` to another name');
+  }
+
+  criteria.where = _.extend({}, criteria.where, { $text: this.search });
+
+  var sortByScore = criteria.sort && hop(criteria.sort, field);
+  if (sortByScore) criteria.sort[field] = score;
+
+  // The score has to be projected to be sorted on
+  if (_.isEmpty(this.select) || hop(this.select, field) || sortByScore) {
+    this.select[field] = score;
+  }
+};
+
+/**
+ * Parse Geo
+ *
+ * <geo-modifier> ::= near: [<lng>, <lat>] | <point>
+ *                        | { coordinates: [<lng>, <lat>] | <point>, maxDistance: <meters>,
+ *                            minDistance: <meters>, distanceField: <field> }
+ *                  | withinPolygon: [[<lng>, <lat>], ...]
+ *                  | withinRadius: { center: [<lng>, <lat>], radius: <meters> }
+ *                  | intersects: <geometry>
+ *
+ * A `near` with a `distanceField` is kept aside in `this.geoNear`, to run as a
+ * $geoNear aggregation that writes the distance of each document to that field.
+ * MongoDB only accepts $nearSphere at the top level of a query, and $geoNear as
+ * the first stage of a pipeline, so `near` is only allowed at the top level of
+ * the where clause.
+ *
+ * @param field
+ * @param modifier
+ * @param val
+ * @param {Boolean} [nested] whether the modifier is inside a logical operator or `not`
+ * @returns {Object}
+ */
+Query.prototype.parseGeo = function parseGeo(field, modifier, val, nested) {
+  function point(coordinates) {
+    return _.isArray(coordinates) ? { type: 'Point', coordinates: coordinates } : coordinates;
+  }
+
+  if (modifier === 'near') {
+    if (nested) {
+      throw new Error('A `near` on `' + field + '` must be at the top level of the where clause, not inside `or`, `and`, `nor` or `not`');
+    }
+
+    var options = _.isPlainObject(val) && hop(val, 'coordinates') && !hop(val, 'type') ? val : { coordinates: val };
+    var near = { $geometry: point(options.coordinates) };
+
+    if (_.isNumber(options.maxDistance)) near.$maxDistance = options.maxDistance;
+    if (_.isNumber(options.minDistance)) near.$minDistance = options.minDistance;
+
+    if (options.distanceField) {
+      this.geoNear = _.extend({
+        key: field,
+        near: near.$geometry,
+        distanceField: options.distanceField
+      }, _.pick(options, 'maxDistance', 'minDistance'));
+      return {};
+    }
+
+    return { $nearSphere: near };
+  }
+
+  if (modifier === 'withinPolygon') {
+    var ring = _.clone(val);
+
+    // GeoJSON polygons must be closed
+    if (!_.isEqual(_.first(ring), _.last(ring))) ring.push(_.first(ring));
+
+    return { $geoWithin: { $geometry: { type: 'Polygon', coordinates: [ring] } } };
+  }
+
+  if (modifier === 'withinRadius') {
+    return { $geoWithin: { $centerSphere: [val.center, val.radius / Query.EARTH_RADIUS] } };
+  }
+
+  return { $geoIntersects: { $geometry: point(val) } };
+};
+
+/**
+ * Geo Near Pipeline
+ *
+ * Builds the stages of a `near` query reporting distances: a $geoNear stage
+ * filtered by the rest of the where clause, then the criteria's sort, skip,
+ * limit and select. Documents come out sorted by distance unless sorted otherwise.
+ *
+ * @return {Array}
+ */
+Query.prototype.geoNearPipeline = function geoNearPipeline() {
+  var geoNear = _.extend({
+    near: this.geoNear.near,
+    key: this.geoNear.key,
+    distanceField: this.geoNear.distanceField,
+    spherical: true,
+    query: this.criteria.where || {}
+  }, _.pick(this.geoNear, 'maxDistance', 'minDistance'));
+
+  var pipeline = [{ $geoNear: geoNear }];
+
+  if (!_.isEmpty(this.criteria.sort)) pipeline.push({ $sort: this.criteria.sort });
+  if (this.criteria.skip) pipeline.push({ $skip: this.criteria.skip });
+  if (this.criteria.limit) pipeline.push({ $limit: this.criteria.limit });
+
+  if (!_.isEmpty(this.select)) {
+    var project = _.clone(this.select);
+    project[this.geoNear.distanceField] = 1;
+    pipeline.push({ $project: project });
+  }
+
+  return pipeline;
+};
@@ -9,6 +9,28 @@ const mongodb = require('mongodb');
 
 const ObjectId = mongodb.ObjectID;
 const MongoBinary = mongodb.Binary;
+const ReadPreference = mongodb.ReadPreference;
+
+// Top-level keys of a criteria object; any other key is an attribute of its `where` clause
+const CRITERIA_KEYS = ['where', 'limit', 'skip', 'sort', 'select', 'withDeleted', 'search', 'readPreference', 'readConcern', 'resumeAfter', 'startAfter'];
+
+// Error codes of writes sent to a node that isn't (or stopped being) primary
+const NOT_PRIMARY_CODES = [10107, 13435, 13436, 189, 91, 11602];
+
+// Driver errors raised when the server can't be reached or the connection is lost
+const CONNECTION_ERRORS = ['MongoNetworkError', 'MongoNetworkTimeoutError', 'MongoServerSelectionError', 'MongoTimeoutError'];
+
+// Messages of the translated errors that are plain objects
+const ERROR_MESSAGES = {
+  E_UNIQUE: 'Record does not satisfy unique constraints',
+  E_VALIDATION: 'Record does not satisfy the collection validator'
+};
+
+// Waterline names of the `$jsonSchema` keywords reported by validation errors
+const VALIDATION_RULES = {
+  bsonType: 'type',
+  enum: 'in'
+};
 
 
 /**
@@ -122,8 +144,8 @@ exports.matchMongoId = function matchMongoId(id) {
  *
  * NOTE: this is really bad for production currently,
  * when you use a regex in the query it won't hit any
- * indexes. We need to fix this ASAP but for now it passes
- * all the waterline tests.
+ * indexes. Set `wlNext.collation` to run equality queries
+ * with a case-insensitive collation instead.
  *
  * @param {String} val
  * @return {String}
@@ -135,6 +157,24 @@ exports.caseInsensitive = function caseInsensitive(val) {
   return val.replace(/[-[\]{}()+?*.\/,\\^$|#]/g, "\\$&");
 };
 
+/**
+ * Collation
+ *
+ * Return the collation used for case-insensitive queries, or `null` when
+ * queries are case sensitive or fall back to regular expressions.
+ * `wlNext.collation: true` stands for `{ locale: 'en', strength: 2 }`.
+ *
+ * @param {Object} config the `wlNext` config
+ * @return {Object}
+ * @api public
+ */
+
+exports.collation = function collation(config) {
+  if(!config || config.caseSensitive || !config.collation) return null;
+  if(config.collation === true) return { locale: 'en', strength: 2 };
+  return config.collation;
+};
+
 /**
  * Parse URL string from config
  *
@@ -166,9 +206,72 @@ exports.parseUrl = function parseUrl(config) {
 };
 
 /**
- * Return a WLValidationError if the provided error was
- * caused by a unique constraint violation; otherwise,
- * return the existing error
+ * Normalize criteria given to the adapter's own methods, which Waterline
+ * doesn't normalize first: shorthand like `{ name: 'foo' }` becomes
+ * `{ where: { name: 'foo' } }`, keeping criteria keys such as `limit` or
+ * `withDeleted` at the top level. Always returns a new object.
+ *
+ * @param {Object} criteria
+ * @return {Object}
+ * @api public
+ */
+
+exports.normalizeCriteria = function normalizeCriteria(criteria) {
+  if(!_.isPlainObject(criteria)) return {};
+  if(hop.call(criteria, 'where')) return _.clone(criteria);
+
+  var normalized = _.pick(criteria, CRITERIA_KEYS);
+  var where = _.omit(criteria, CRITERIA_KEYS);
+  if(!_.isEmpty(where)) normalized.where = where;
+
+  return normalized;
+};
+
+/**
+ * Build a read preference from a mode (e.g. `'secondaryPreferred'`) or from
+ * `{ mode, tags, maxStalenessSeconds }`, where `tags` is a tag set or an array
+ * of them. Returns null when none is given.
+ *
+ * @param {String|Object} value
+ * @return {ReadPreference}
+ * @api public
+ */
+
+exports.readPreference = function readPreference(value) {
+  if(!value) return null;
+  if(value instanceof ReadPreference) return value;
+  if(_.isString(value)) return new ReadPreference(value);
+
+  var tags = value.tags && !Array.isArray(value.tags) ? [value.tags] : value.tags;
+  return new ReadPreference(value.mode, tags, _.pick(value, 'maxStalenessSeconds'));
+};
+
+/**
+ * Build a read concern from a level (e.g. `'majority'`) or `{ level }`.
+ * Returns null when none is given.
+ *
+ * @param {String|Object} value
+ * @return {Object}
+ * @api public
+ */
+
+exports.readConcern = function readConcern(value) {
+  if(!value) return null;
+  return _.isString(value) ? { level: value } : value;
+};
+
+/**
+ * Translate a MongoDB error into a Waterline-friendly one:
+ *
+ *   - `E_UNIQUE`: duplicate key, with every field of the index in `invalidAttributes`
+ *   - `E_VALIDATION`: document rejected by the collection validator
+ *   - `E_WRITE_CONCERN_TIMEOUT`: write concern not satisfied in time
+ *   - `E_NOT_PRIMARY`: write sent to a node that isn't (or stopped being) primary
+ *   - `E_TIMEOUT`: operation exceeded its `maxTimeMS`
+ *   - `E_CONNECTION`: server unreachable or connection lost
+ *
+ * The original error is attached as `originalError`. Any other error is
+ * returned as is.
  *
  * @param {Error} err
  * @return {Error}
@@ -176,27 +279,86 @@ exports.parseUrl = function parseUrl(config) {
  */
 
 exports.clarifyError = function clarifyError(err) {
-  // MongoDB duplicate key error code
-  if(err.code !== 11000) {
-    return err;
+  if(!err) return err;
+
+  if(err.code === 11000 || err.code === 11001) {
+    return clarifyUniqueError(err);
   }
 
-  // Example errmsg: `E11000 duplicate key error index: db_name.model_name.$attribute_name_1 dup key: { : "value" }`
-  var matches = /E11000 duplicate key error index: .*?\..*?\.\$(.*?)_\d+\s+dup key: { : (.*) }$/.exec(err.errmsg);
-  if (!matches) {
-    // Example errmsg: E11000 duplicate key error collection: db_name.model_name index: attribute_name_1 dup key: { : "value" }
-    matches = /E11000 duplicate key error collection: .*?\..*? index: (.*?)_\d+\s+dup key: { : (.*) }$/.exec(err.errmsg);
-    if (!matches) {
-      // We cannot parse error message, return original error
+  if(err.code === 121) {
+    return clarifyValidationError(err);
+  }
+
+  if(err.code === 64 || _.get(err, 'errInfo.wtimeout') || _.get(err, 'writeConcernError.code') === 64) {
+    return translatedError('E_WRITE_CONCERN_TIMEOUT', err);
+  }
+
+  if(_.includes(NOT_PRIMARY_CODES, err.code) || /not master/.test(err.message)) {
+    return translatedError('E_NOT_PRIMARY', err);
+  }
+
+  if(err.code === 50) {
+    return translatedError('E_TIMEOUT', err);
+  }
+
+  if(_.includes(CONNECTION_ERRORS, err.name)) {
+    return translatedError('E_CONNECTION', err);
+  }
+
+  return err;
+};
+
+/**
+ * Build an error with a Waterline-friendly code around a MongoDB error.
+ *
+ * @param {String} code
+ * @param {Error} err
+ * @return {Error}
+ * @api private
+ */
+
+function translatedError(code, err) {
+  var error = new Error(err.message || err.errmsg);
+  error.code = code;
+  error.originalError = err;
+  return error;
+}
+
+/**
+ * Return an `E_UNIQUE` error for a duplicate key error, listing every field
+ * of the violated index. The fields and values are taken from `keyValue`
+ * (or `keyPattern`) when the server reports them, or parsed from the message:
+ *
+ *   E11000 duplicate key error collection: db.users index: email_1 dup key: { : "x" }
+ *   E11000 duplicate key error collection: db.users index: email_1 dup key: { email: "x" }
+ *
+ * @param {Error} err
+ * @return {Object}
+ * @api private
+ */
+
+function clarifyUniqueError(err) {
+  var fields, values;
+
+  if(_.isPlainObject(err.keyValue)) {
+    fields = _.keys(err.keyValue);
+    values = _.values(err.keyValue);
+  } else {
+    var matches = /index: (?:.*?\.\$)?(\S+) dup key: { (.*) }$/.exec(err.errmsg || err.message);
+    var entries = matches ? parseDupKey(matches[2]) : [];
+
+    if(_.isPlainObject(err.keyPattern)) {
+      fields = _.keys(err.keyPattern);
+    } else if(entries.length && _.every(entries, 'key')) {
+      fields = _.map(entries, 'key');
+    } else if(matches) {
+      fields = indexFields(matches[1]);
+    } else {
+      // We cannot tell which fields are duplicated, return original error
       return err;
     }
-  }
-  var fieldName = matches[1]; // name of index (without _[digits] at the end)
-  var value;
-  try {
-    value = JSON.parse(matches[2]); // attempt to convert the value to a primitive representation
-  } catch (x) {
-    value = matches[2]; // for non-serializable objects (e.g. ObjectId representations), return as-is
+
+    values = _.map(entries, 'value');
   }
 
   var validationError = {
@@ -205,12 +367,163 @@ exports.clarifyError = function clarifyError(err) {
     originalError: err
   };
 
-  validationError.invalidAttributes[fieldName] = [
-    {
-      rule: 'unique',
-      value: value
-    }
-  ];
+  fields.forEach(function(field, i) {
+    validationError.invalidAttributes[field] = [
+      {
+        rule: 'unique',
+        value: values[i]
+      }
+    ];
+  });
 
   return validationError;
+}
+
+/**
+ * Parse the `dup key` of a duplicate key error message, e.g. ` : "x", : 2 `
+ * or ` email: "x", age: 2 `, into `{ key, value }` entries. Values are parsed
+ * as JSON where possible; others (e.g. `ObjectId('...')`) are kept as is.
+ *
+ * @param {String} body
+ * @return {Array}
+ * @api private
+ */
+
+function parseDupKey(body) {
+  var pattern = /\s*([^\s:,"]*)\s*:\s*("(?:[^"\\]|\\.)*"|[^,]*?)\s*(?:,|$)/g;
+  var entries = [];
+  var match;
+
+  while((match = pattern.exec(body)) && match[0]) {
+    var value;
+    try {
+      value = JSON.parse(match[2]); // attempt to convert the value to a primitive representation
+    } catch (x) {
+      value = match[2]; // for non-serializable objects (e.g. ObjectId representations), return as-is
+    }
+    entries.push({ key: match[1], value: value });
+  }
+
+  return entries;
+}
+
+/**
+ * Derive the fields of an index from its default name, e.g. `lastName_1_firstName_-1`.
+ *
+ * @param {String} name
+ * @return {Array}
+ * @api private
+ */
+
+function indexFields(name) {
+  return name.replace(/_(?:-?\d+|2dsphere|text|hashed)$/, '').split(/_(?:-?1|2d|2dsphere|text|hashed)_/);
+}
+
+/**
+ * Return an `E_VALIDATION` error for a document rejected by the collection's
+ * `$jsonSchema` validator. Servers that report why (MongoDB 5.0+) have the
+ * failing attributes listed in `invalidAttributes`.
+ *
+ * @param {Error} err
+ * @return {Object}
+ * @api private
+ */
+
+function clarifyValidationError(err) {
+  var invalidAttributes = {};
+  var rules = _.get(err, 'errInfo.details.schemaRulesNotSatisfied') || [];
+
+  rules.forEach(function(rule) {
+    (rule.missingProperties || []).forEach(function(name) {
+      invalidAttributes[name] = [{ rule: 'required' }];
+    });
+
+    (rule.propertiesNotSatisfied || []).forEach(function(property) {
+      invalidAttributes[property.propertyName] = (property.details || []).map(function(detail) {
+        return { rule: VALIDATION_RULES[detail.operatorName] || detail.operatorName, value: detail.consideredValue };
+      });
+    });
+  });
+
+  return {
+    code: 'E_VALIDATION',
+    invalidAttributes: invalidAttributes,
+    originalError: err
+  };
+}
+
+/**
+ * Wrap an error raised by an adapter method so callers always get an `Error`
+ * with a `code` (`E_UNKNOWN` when none applies), the `adapterMethod` and
+ * `collection` it came from and, for diagnostics, the `criteria` with the
+ * values of its `where` clause redacted. MongoDB errors are clarified first.
+ *
+ * @param {Error|Object|String} err
+ * @param {String} adapterMethod
+ * @param {String} collectionName
+ * @param {Object} [criteria]
+ * @return {Error}
+ * @api public
+ */
+
+exports.wrapError = function wrapError(err, adapterMethod, collectionName, criteria) {
+  // Already wrapped further down, e.g. by a nested adapter call
+  if(err instanceof Error && err.adapterMethod) return err;
+
+  var clarified = _.isString(err) ? new Error(err) : exports.clarifyError(err);
+  var error = clarified;
+
+  if(!(clarified instanceof Error)) {
+    error = _.extend(new Error(clarified.message || clarified.errmsg || ERROR_MESSAGES[clarified.code] || 'Unexpected error'), clarified);
+  }
+
+  error.code = error.code || 'E_UNKNOWN';
+  error.adapterMethod = adapterMethod;
+  error.collection = collectionName;
+  if(criteria) error.criteria = exports.redactCriteria(criteria);
+
+  return error;
+};
+
+/**
+ * Copy a criteria object, replacing every value of its `where` and `having`
+ * clauses with `[redacted]` while keeping the attributes and modifiers used.
+ *
+ * @param {Object} criteria
+ * @return {Object}
+ * @api public
+ */
+
+exports.redactCriteria = function redactCriteria(criteria) {
+  function redact(value) {
+    if(Array.isArray(value)) return value.map(redact);
+    if(_.isPlainObject(value)) return _.mapValues(value, redact);
+    return '[redacted]';
+  }
+
+  if(!_.isPlainObject(criteria)) return redact(criteria);
+
+  var redacted = _.clone(criteria);
+  if(criteria.where) redacted.where = redact(criteria.where);
+  if(criteria.having) redacted.having = redact(criteria.having);
+  return redacted;
+};
+
+/**
+ * Clarify each of the write errors of a failed bulk write
+ *
+ * @param {BulkWriteError} err
+ * @return {Array} `{ index, error }` for every failed operation
+ * @api public
+ */
+
+exports.clarifyWriteErrors = function clarifyWriteErrors(err) {
+  if(!err.result || typeof err.result.getWriteErrors !== 'function') return [];
+
+  return err.result.getWriteErrors().map(function(writeError) {
+    return {
+      index: writeError.index,
+      error: exports.clarifyError(writeError.err || writeError)
+    };
+  });
 };
@@ -0,0 +1,102 @@
+/**
+ * Stubs Standing In For The MongoDB Driver In Unit Tests
+ */
+
+var _ = require('@sailshq/lodash');
+var Collection = require('../../lib/collection');
+var Connection = require('../../lib/connection');
+
+/**
+ * A database whose `collection()` always returns the given native collection,
+ * extended with other database members (e.g. `listCollections`).
+ */
+
+exports.db = function db(nativeCollection, members) {
+  return _.extend({
+    collection: function () { return nativeCollection; }
+  }, members);
+};
+
+/**
+ * A client returning the given database, extended with other client members
+ * (e.g. `startSession`).
+ */
+
+exports.client = function client(db, members) {
+  return _.extend({
+    db: function () { return db; },
+    close: function (cb) { cb(); }
+  }, members);
+};
+
+/**
+ * A Collection on a connection whose client returns the given database. The
+ * connection may be extended or overridden (e.g. `config`, `supportsTransactions`).
+ */
+
+exports.collection = function collection(definition, db, connection) {
+  return new Collection(definition, _.extend({ config: {}, client: exports.client(db) }, connection));
+};
+
+/**
+ * Make adapter connections use the client built by `buildClient(config)`
+ * instead of connecting to MongoDB. Returns a function undoing it.
+ */
+
+exports.connect = function connect(buildClient) {
+  var buildConnection = Connection.prototype._buildConnection;
+
+  Connection.prototype._buildConnection = function (cb) {
+    cb(null, buildClient(this.config));
+  };
+
+  return function restore() {
+    Connection.prototype._buildConnection = buildConnection;
+  };
+};
+
+/**
+ * An error of a bulk write, carrying a BulkWriteResult with the given write
+ * errors and write concern error.
+ */
+
+exports.bulkError = function bulkError(writeErrors, writeConcernError) {
+  var err = new Error('bulk');
+  err.result = {
+    nMatched: 0,
+    nModified: 0,
+    nRemoved: 0,
+    getUpsertedIds: function () { return []; },
+    getWriteErrors: function () { return writeErrors || []; },
+    getWriteConcernError: function () { return writeConcernError || null; }
+  };
+  return err;
+};
+
+/**
+ * A ClientSession recording the transaction calls made on it into `calls`.
+ * `options.startError` and `options.commitError` make those calls fail.
+ */
+
+exports.session = function session(calls, options) {
+  options = options || {};
+
+  return {
+    startTransaction: function (transactionOptions) {
+      calls.push('start');
+      this.transactionOptions = transactionOptions;
+      if (options.startError) throw options.startError;
+    },
+    commitTransaction: function (cb) {
+      calls.push('commit');
+      cb(options.commitError);
+    },
+    abortTransaction: function (cb) {
+      calls.push('abort');
+      cb();
+    },
+    endSession: function () {
+      calls.push('end');
+    }
+  };
+};
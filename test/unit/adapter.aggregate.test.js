@@ -0,0 +1,74 @@
+var Adapter = require('../../lib/adapter'),
+    stubs = require('../support/stubs'),
+    assert = require('assert');
+
+describe('adapter', function() {
+
+  describe('.aggregate()', function() {
+    var restore, aggregateError, calls;
+
+    before(function(done) {
+      var native = {
+        aggregate: function(pipeline, options) {
+          calls.push({ pipeline: pipeline, options: options });
+          return {
+            toArray: function(cb) {
+              if (aggregateError) return cb(aggregateError);
+              cb(null, [{ _id: 'foo', total: 2 }]);
+            }
+          };
+        }
+      };
+
+      restore = stubs.connect(function() {
+        return stubs.client(stubs.db(native));
+      });
+
+      var collections = { foobar: { identity: 'foobar', definition: { name: { type: 'string' } } } };
+      Adapter.registerConnection({ identity: 'aggregates' }, collections, done);
+    });
+
+    after(function(done) {
+      restore();
+      Adapter.teardown('aggregates', done);
+    });
+
+    beforeEach(function() {
+      calls = [];
+      aggregateError = null;
+    });
+
+    var pipeline = [{ $group: { _id: '$name', total: { $sum: 1 } } }];
+
+    it('should run the pipeline on the collection', function(done) {
+      Adapter.aggregate('aggregates', 'foobar', pipeline, { limit: 5, allowDiskUse: true }, function(err, results) {
+        assert.ifError(err);
+        assert.deepEqual(calls[0].pipeline, [{ $limit: 5 }].concat(pipeline));
+        assert.deepEqual(calls[0].options, { allowDiskUse: true });
+        assert.deepEqual(results, [{ id: 'foo', total: 2 }]);
+        done();
+      });
+    });
+
+    it('should default the options', function(done) {
+      Adapter.aggregate('aggregates', 'foobar', pipeline, function(err) {
+        assert.ifError(err);
+        assert.deepEqual(calls[0].pipeline, pipeline);
+        done();
+      });
+    });
+
+    it('should wrap errors', function(done) {
+      aggregateError = new Error('boom');
+
+      Adapter.aggregate('aggregates', 'foobar', pipeline, { where: { name: 'foo' } }, function(err) {
+        assert.strictEqual(err, aggregateError);
+        assert.strictEqual(err.adapterMethod, 'aggregate');
+        assert.strictEqual(err.collection, 'foobar');
+        done();
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,83 @@
+var Adapter = require('../../lib/adapter'),
+    stubs = require('../support/stubs'),
+    assert = require('assert');
+
+describe('adapter', function() {
+
+  describe('.join()', function() {
+    var restore, opened;
+
+    before(function(done) {
+      var records = {
+        user: [{ _id: 'alice', pet: 'rex' }],
+        pet: [{ _id: 'rex', name: 'Rex' }]
+      };
+
+      restore = stubs.connect(function() {
+        return stubs.client({
+          collection: function(name, options) {
+            opened.push({ name: name, options: options });
+            return {
+              find: function() {
+                return { toArray: function(cb) { cb(null, records[name]); } };
+              }
+            };
+          }
+        });
+      });
+
+      var collections = {
+        user: { identity: 'user', definition: { id: { type: 'string', primaryKey: true }, pet: { type: 'string' } } },
+        pet: { identity: 'pet', definition: { id: { type: 'string', primaryKey: true }, name: { type: 'string' } } }
+      };
+
+      Adapter.registerConnection({ identity: 'joins', wlNext: { caseSensitive: true } }, collections, done);
+    });
+
+    after(function(done) {
+      restore();
+      Adapter.teardown('joins', done);
+    });
+
+    beforeEach(function() {
+      opened = [];
+    });
+
+    it('should read associated records like the parent ones', function(done) {
+      var criteria = {
+        where: { id: 'alice' },
+        readPreference: 'secondary',
+        readConcern: 'majority',
+        joins: [{ parent: 'user', parentKey: 'pet', child: 'pet', childKey: 'id', alias: 'pet', model: true, criteria: {} }]
+      };
+
+      Adapter.join('joins', 'user', criteria, function(err, results) {
+        assert.ifError(err);
+        assert.equal(results[0].pet[0].name, 'Rex');
+
+        assert.deepEqual(opened.map(function(read) { return read.name; }), ['user', 'pet']);
+        opened.forEach(function(read) {
+          assert.equal(read.options.readPreference.mode, 'secondary');
+          assert.deepEqual(read.options.readConcern, { level: 'majority' });
+        });
+        done();
+      });
+    });
+
+    it('should let the criteria of associated records choose their own', function(done) {
+      var criteria = {
+        where: { id: 'alice' },
+        readPreference: 'secondary',
+        joins: [{ parent: 'user', parentKey: 'pet', child: 'pet', childKey: 'id', alias: 'pet', model: true, criteria: { readPreference: 'primary' } }]
+      };
+
+      Adapter.join('joins', 'user', criteria, function(err) {
+        assert.ifError(err);
+        assert.equal(opened[1].options.readPreference.mode, 'primary');
+        done();
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,104 @@
+var Adapter = require('../../lib/adapter'),
+    stubs = require('../support/stubs'),
+    assert = require('assert');
+
+describe('adapter', function() {
+
+  describe('with an unknown connection', function() {
+
+    function assertUnknown(adapterMethod, done) {
+      return function(err) {
+        assert(err instanceof Error);
+        assert.strictEqual(err.code, 'E_UNKNOWN_CONNECTION');
+        assert.strictEqual(err.adapterMethod, adapterMethod);
+        assert(/`missing`/.test(err.message));
+        done();
+      };
+    }
+
+    it('should report it through the callback of find', function(done) {
+      Adapter.find('missing', 'foobar', {}, assertUnknown('find', done));
+    });
+
+    it('should report it through the callback of create', function(done) {
+      Adapter.create('missing', 'foobar', { name: 'foo' }, assertUnknown('create', done));
+    });
+
+    it('should report it through the callback of define', function(done) {
+      Adapter.define('missing', 'foobar', {}, assertUnknown('define', done));
+    });
+
+    it('should report it through the callback of native', function(done) {
+      Adapter.native('missing', 'foobar', assertUnknown('native', done));
+    });
+
+    it('should end streams with it', function(done) {
+      Adapter.stream('missing', 'foobar', {}, {
+        write: function() {},
+        end: assertUnknown('stream', done)
+      });
+    });
+
+  });
+
+  describe('with a registered connection', function() {
+    var restore, created;
+
+    before(function(done) {
+      var native = {
+        count: function(where, options, cb) { cb(null, 0); }
+      };
+
+      var db = stubs.db(native, {
+        createCollection: function(name, cb) {
+          created.push(name);
+          cb(null, {
+            collectionName: name,
+            indexes: function(cb) { cb(null, []); }
+          });
+        }
+      });
+
+      restore = stubs.connect(function() {
+        return stubs.client(db);
+      });
+
+      var collections = { foobar: { identity: 'foobar', definition: { name: { type: 'string' } } } };
+      Adapter.registerConnection({ identity: 'lookups' }, collections, done);
+    });
+
+    after(function(done) {
+      restore();
+      Adapter.teardown('lookups', done);
+    });
+
+    beforeEach(function() {
+      created = [];
+    });
+
+    it('should report unknown collections through the callback', function(done) {
+      Adapter.count('lookups', 'missing', {}, function(err) {
+        assert(err instanceof Error);
+        assert.strictEqual(err.code, 'E_UNKNOWN_COLLECTION');
+        assert.strictEqual(err.adapterMethod, 'count');
+        assert(/`missing` in connection `lookups`/.test(err.message));
+        done();
+      });
+    });
+
+    it('should register collections on define', function(done) {
+      Adapter.define('lookups', 'pets', { name: { type: 'string' } }, function(err) {
+        assert.ifError(err);
+        assert.deepEqual(created, ['pets']);
+
+        Adapter.count('lookups', 'pets', {}, function(err, count) {
+          assert.ifError(err);
+          assert.strictEqual(count, 0);
+          done();
+        });
+      });
+    });
+
+  });
+
+});
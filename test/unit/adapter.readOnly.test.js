@@ -0,0 +1,194 @@
+var Adapter = require('../../lib/adapter'),
+    stubs = require('../support/stubs'),
+    logger = require('../../lib/logger'),
+    _ = require('@sailshq/lodash'),
+    assert = require('assert');
+
+describe('adapter', function() {
+
+  describe('with a read-only connection', function() {
+    var warn = logger.warn,
+        restore, calls, warnings;
+
+    var native = {
+      insertOne: function(doc, cb) {
+        calls.push('insertOne');
+        cb();
+      },
+      find: function() {
+        calls.push('find');
+        return 'cursor';
+      },
+      aggregate: function(pipeline) {
+        calls.push({ aggregate: pipeline });
+        return 'cursor';
+      },
+      mapReduce: function(map, reduce, options, cb) {
+        calls.push('mapReduce');
+        cb(null, []);
+      },
+      initializeOrderedBulkOp: function() {
+        return {
+          insert: function() {},
+          execute: function(cb) {
+            calls.push('execute');
+            cb();
+          }
+        };
+      }
+    };
+
+    function register(identity, readOnlyBehavior, done) {
+      var config = { identity: identity, readOnly: true, readOnlyBehavior: readOnlyBehavior };
+      var collections = { foobar: { identity: 'foobar', definition: { name: { type: 'string' } } } };
+      Adapter.registerConnection(config, collections, done);
+    }
+
+    before(function(done) {
+      restore = stubs.connect(function() {
+        return stubs.client(stubs.db(native));
+      });
+      register('readOnlyError', 'error', function(err) {
+        if (err) return done(err);
+        register('readOnlyWarn', 'warn', done);
+      });
+    });
+
+    after(function(done) {
+      restore();
+      Adapter.teardown('readOnlyError', function() {
+        Adapter.teardown('readOnlyWarn', done);
+      });
+    });
+
+    beforeEach(function() {
+      calls = [];
+      warnings = [];
+      logger.warn = function(message) {
+        warnings.push(message);
+      };
+    });
+
+    afterEach(function() {
+      logger.warn = warn;
+    });
+
+    function assertReadOnly(adapterMethod, done) {
+      return function(err) {
+        assert(err instanceof Error);
+        assert.strictEqual(err.code, 'E_READ_ONLY');
+        assert.strictEqual(err.adapterMethod, adapterMethod);
+        assert(/`foobar`/.test(err.message));
+        assert.deepEqual(calls, []);
+        done();
+      };
+    }
+
+    describe('refusing writes', function() {
+
+      it('should report them as errors with `readOnlyBehavior: \'error\'`', function(done) {
+        Adapter.create('readOnlyError', 'foobar', { name: 'foo' }, assertReadOnly('create', done));
+      });
+
+      it('should skip them with a warning with `readOnlyBehavior: \'warn\'`', function(done) {
+        Adapter.create('readOnlyWarn', 'foobar', { name: 'foo' }, function(err, result) {
+          assert.ifError(err);
+          assert.strictEqual(result, undefined);
+          assert.equal(warnings.length, 1);
+          assert(/read-only connection `readOnlyWarn`/.test(warnings[0]));
+          done();
+        });
+      });
+
+      it('should refuse aggregations writing their output', function(done) {
+        Adapter.aggregate('readOnlyError', 'foobar', [{ $match: {} }, { $out: 'copy' }], assertReadOnly('aggregate', done));
+      });
+
+      it('should only register the collection on define', function(done) {
+        Adapter.define('readOnlyError', 'other', { name: { type: 'string' } }, function(err) {
+          assert.ifError(err);
+          assert.deepEqual(warnings, []);
+          done();
+        });
+      });
+
+    });
+
+    describe('native collections', function() {
+
+      function nativeCollection(identity, cb) {
+        Adapter.native(identity, 'foobar', function(err, collection) {
+          assert.ifError(err);
+          cb(collection);
+        });
+      }
+
+      it('should refuse write helpers', function(done) {
+        nativeCollection('readOnlyError', function(collection) {
+          collection.insertOne({ name: 'foo' }, assertReadOnly('native.insertOne', done));
+        });
+      });
+
+      it('should reject the promise of write helpers called without a callback', function(done) {
+        nativeCollection('readOnlyError', function(collection) {
+          collection.insertOne({ name: 'foo' }).catch(assertReadOnly('native.insertOne', done));
+        });
+      });
+
+      it('should let reads through', function(done) {
+        nativeCollection('readOnlyError', function(collection) {
+          assert.equal(collection.find({}), 'cursor');
+          assert.deepEqual(calls, ['find']);
+          done();
+        });
+      });
+
+      it('should refuse aggregations writing their output', function(done) {
+        nativeCollection('readOnlyError', function(collection) {
+          collection.aggregate([{ $merge: 'copy' }], {}, assertReadOnly('native.aggregate', done));
+        });
+      });
+
+      it('should throw when building a cursor for an aggregation writing its output', function(done) {
+        nativeCollection('readOnlyError', function(collection) {
+          assert.throws(function() {
+            collection.aggregate([{ $out: 'copy' }]);
+          }, /read-only connection/);
+          assert.deepEqual(calls, []);
+          done();
+        });
+      });
+
+      it('should skip the writing stages of a cursor with a warning', function(done) {
+        nativeCollection('readOnlyWarn', function(collection) {
+          assert.equal(collection.aggregate([{ $match: {} }, { $out: 'copy' }]), 'cursor');
+          assert.deepEqual(calls, [{ aggregate: [{ $match: {} }] }]);
+          assert.equal(warnings.length, 1);
+          done();
+        });
+      });
+
+      it('should only allow inline map-reduce', function(done) {
+        nativeCollection('readOnlyError', function(collection) {
+          collection.mapReduce(_.noop, _.noop, { out: { inline: 1 } }, function(err) {
+            assert.ifError(err);
+            assert.deepEqual(calls, ['mapReduce']);
+            calls = [];
+            collection.mapReduce(_.noop, _.noop, { out: 'copy' }, assertReadOnly('native.mapReduce', done));
+          });
+        });
+      });
+
+      it('should build bulk operations but refuse to execute them', function(done) {
+        nativeCollection('readOnlyError', function(collection) {
+          var bulk = collection.initializeOrderedBulkOp();
+          bulk.insert({ name: 'foo' });
+          bulk.execute(assertReadOnly('native.initializeOrderedBulkOp', done));
+        });
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,132 @@
+var Adapter = require('../../lib/adapter'),
+    stubs = require('../support/stubs'),
+    assert = require('assert');
+
+describe('adapter', function() {
+
+  describe('.transaction()', function() {
+    var restore, session, calls;
+
+    before(function(done) {
+      restore = stubs.connect(function(config) {
+        var isMaster = config.identity === 'standalone' ? { maxWireVersion: 8 } : { setName: 'rs0', maxWireVersion: 8 };
+        var db = stubs.db(null, {
+          command: function(command, cb) {
+            cb(null, isMaster);
+          }
+        });
+
+        return stubs.client(db, {
+          startSession: function() {
+            return session;
+          }
+        });
+      });
+
+      Adapter.registerConnection({ identity: 'transactions' }, {}, function(err) {
+        if (err) return done(err);
+        Adapter.registerConnection({ identity: 'standalone' }, {}, done);
+      });
+    });
+
+    after(function(done) {
+      restore();
+      Adapter.teardown('transactions', function() {
+        Adapter.teardown('standalone', done);
+      });
+    });
+
+    beforeEach(function() {
+      calls = [];
+      session = stubs.session(calls);
+    });
+
+    it('should commit and pass on the result of `done`', function(done) {
+      Adapter.transaction('transactions', function(trx, cb) {
+        assert.strictEqual(trx.session, session);
+        cb(null, 'ok');
+      }, function(err, result) {
+        assert.ifError(err);
+        assert.equal(result, 'ok');
+        assert.deepEqual(calls, ['start', 'commit', 'end']);
+        done();
+      });
+    });
+
+    it('should abort when `done` gets an error', function(done) {
+      Adapter.transaction('transactions', function(trx, cb) {
+        cb(new Error('boom'));
+      }, function(err) {
+        assert.equal(err.message, 'boom');
+        assert.deepEqual(calls, ['start', 'abort', 'end']);
+        done();
+      });
+    });
+
+    it('should abort when `fn` throws', function(done) {
+      Adapter.transaction('transactions', function() {
+        throw new Error('boom');
+      }, function(err) {
+        assert.equal(err.message, 'boom');
+        assert.deepEqual(calls, ['start', 'abort', 'end']);
+        done();
+      });
+    });
+
+    it('should only honour the first call to `done`', function(done) {
+      var results = [];
+
+      Adapter.transaction('transactions', function(trx, cb) {
+        cb(null, 'first');
+        cb(new Error('second'));
+        throw new Error('third');
+      }, function(err, result) {
+        results.push([err, result]);
+      });
+
+      setImmediate(function() {
+        assert.deepEqual(results, [[null, 'first']]);
+        assert.deepEqual(calls, ['start', 'commit', 'end']);
+        done();
+      });
+    });
+
+    it('should report a failed commit', function(done) {
+      session = stubs.session(calls, { commitError: new Error('commit') });
+      Adapter.transaction('transactions', function(trx, cb) {
+        cb(null, 'ok');
+      }, function(err) {
+        assert(/commit/.test(err.message));
+        assert.strictEqual(err.adapterMethod, 'transaction');
+        assert.deepEqual(calls, ['start', 'commit', 'end']);
+        done();
+      });
+    });
+
+    it('should refuse servers that do not support transactions', function(done) {
+      Adapter.transaction('standalone', function() {
+        done(new Error('should not run'));
+      }, function(err) {
+        assert.strictEqual(err.code, 'E_TRANSACTIONS_UNSUPPORTED');
+        assert.strictEqual(err.adapterMethod, 'transaction');
+        assert(/`standalone`/.test(err.message));
+        assert.deepEqual(calls, []);
+        done();
+      });
+    });
+
+    it('should end the session when the transaction cannot be started', function(done) {
+      session = stubs.session(calls, { startError: new Error('Transaction numbers are only allowed on a replica set member or mongos') });
+      Adapter.transaction('transactions', function() {
+        done(new Error('should not run'));
+      }, function(err) {
+        assert(/replica set/.test(err.message));
+        assert.strictEqual(err.adapterMethod, 'transaction');
+        assert.deepEqual(calls, ['start', 'end']);
+        done();
+      });
+    });
+
+  });
+
+});
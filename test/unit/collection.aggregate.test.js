@@ -0,0 +1,88 @@
+var assert = require('assert');
+var ObjectId = require('mongodb').ObjectID;
+var stubs = require('../support/stubs');
+
+describe('Collection', function () {
+
+  describe('aggregating', function () {
+    var collection, softDeleted, results, calls;
+
+    before(function () {
+      var db = stubs.db({
+        aggregate: function (pipeline, options) {
+          calls.push({ pipeline: pipeline, options: options });
+          return { toArray: function (cb) { cb(null, results); } };
+        }
+      });
+
+      var definition = { name: { type: 'string' }, age: { type: 'integer' }, deletedAt: { type: 'datetime' } };
+      var config = { config: { wlNext: { caseSensitive: true } } };
+
+      collection = stubs.collection({ identity: 'user', definition: definition }, db, config);
+      softDeleted = stubs.collection({ identity: 'user', softDelete: true, definition: definition }, db, config);
+    });
+
+    beforeEach(function () {
+      calls = [];
+      results = [];
+    });
+
+    var pipeline = [{ $group: { _id: '$name', total: { $sum: '$age' } } }];
+
+    it('should run the pipeline as is without criteria', function (done) {
+      collection.aggregate(pipeline, function (err) {
+        assert.ifError(err);
+        assert.deepEqual(calls[0].pipeline, pipeline);
+        assert.deepEqual(calls[0].options, {});
+        done();
+      });
+    });
+
+    it('should prepend the where, sort, skip and limit as stages', function (done) {
+      collection.aggregate(pipeline, { where: { age: { '>': 18 } }, sort: { name: 1 }, skip: 10, limit: 5 }, function (err) {
+        assert.ifError(err);
+        assert.deepEqual(calls[0].pipeline, [
+          { $match: { age: { $gt: 18 } } },
+          { $sort: { name: 1 } },
+          { $skip: 10 },
+          { $limit: 5 }
+        ].concat(pipeline));
+        done();
+      });
+    });
+
+    it('should pass the driver options through', function (done) {
+      collection.aggregate(pipeline, { allowDiskUse: true, maxTimeMS: 1000, batchSize: 50, explain: true }, function (err) {
+        assert.ifError(err);
+        assert.deepEqual(calls[0].options, { allowDiskUse: true, maxTimeMS: 1000, cursor: { batchSize: 50 } });
+        done();
+      });
+    });
+
+    it('should exclude soft-deleted documents unless asked for', function (done) {
+      softDeleted.aggregate(pipeline, { where: { name: 'foo' } }, function (err) {
+        assert.ifError(err);
+        assert.deepEqual(calls[0].pipeline[0], { $match: { name: 'foo', deletedAt: null } });
+
+        softDeleted.aggregate(pipeline, { withDeleted: true }, function (err) {
+          assert.ifError(err);
+          assert.deepEqual(calls[1].pipeline, pipeline);
+          done();
+        });
+      });
+    });
+
+    it('should normalize the results', function (done) {
+      var id = new ObjectId();
+      results = [{ _id: id, total: 3 }, { _id: 'foo', total: 2 }];
+
+      collection.aggregate(pipeline, function (err, docs) {
+        assert.ifError(err);
+        assert.deepEqual(docs, [{ id: id.toString(), total: 3 }, { id: 'foo', total: 2 }]);
+        done();
+      });
+    });
+
+  });
+
+});
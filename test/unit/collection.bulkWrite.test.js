@@ -0,0 +1,188 @@
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var ObjectId = require('mongodb').ObjectID;
+var Collection = require('../../lib/collection');
+var stubs = require('../support/stubs');
+
+describe('Collection', function () {
+
+  describe('building bulk writes', function () {
+    var collection;
+
+    before(function () {
+      collection = new Collection({
+        identity: 'user',
+        definition: { name: { type: 'string' }, age: { type: 'integer' } }
+      }, { config: { wlNext: { caseSensitive: true } } });
+    });
+
+    it('should treat shorthand criteria as the where clause', function () {
+      var destroy = collection._buildWrite({ type: 'destroy', criteria: { name: 'x' } }, 0);
+      var update = collection._buildWrite({ type: 'update', criteria: { age: 20 }, values: { name: 'y' } }, 1);
+
+      assert(_.isEqual(destroy, { deleteMany: { filter: { name: 'x' } } }));
+      assert(_.isEqual(update.updateMany.filter, { age: 20 }));
+    });
+
+    it('should refuse operations matching every document', function () {
+      _.each(['update', 'upsert', 'destroy'], function (type) {
+        assert.throws(function () {
+          collection._buildWrite({ type: type, criteria: {}, values: { name: 'y' } }, 0);
+        }, /all: true/);
+      });
+
+      assert.throws(function () {
+        collection._buildWrite({ type: 'destroy' }, 0);
+      }, /all: true/);
+    });
+
+    it('should match upserts case-sensitively on a case-insensitive connection', function () {
+      var insensitive = new Collection({
+        identity: 'user',
+        definition: { email: { type: 'string' }, name: { type: 'string' } }
+      }, { config: {} });
+
+      var upsert = insensitive._buildWrite({ type: 'upsert', criteria: { email: 'A@b.com' }, values: { name: 'x' } }, 0);
+      var update = insensitive._buildWrite({ type: 'update', criteria: { email: 'A@b.com' }, values: { name: 'x' } }, 1);
+
+      assert(_.isEqual(upsert.updateOne.filter, { email: 'A@b.com' }));
+      assert(update.updateMany.filter.email instanceof RegExp);
+    });
+
+    it('should allow operations matching every document with `all`', function () {
+      var destroy = collection._buildWrite({ type: 'destroy', criteria: {}, all: true }, 0);
+      assert(_.isEqual(destroy, { deleteMany: { filter: {} } }));
+    });
+
+  });
+
+  describe('summarizing bulk writes', function () {
+    var collection, ids, writes;
+
+    function bulkWriteResult(upserted) {
+      return {
+        nMatched: 2,
+        nModified: 1,
+        nRemoved: 1,
+        getUpsertedIds: function () { return upserted; },
+        getWriteConcernError: function () { return null; }
+      };
+    }
+
+    function writeError(index) {
+      return { index: index, error: new Error('failed') };
+    }
+
+    before(function () {
+      collection = new Collection({ identity: 'user', definition: {} }, { config: {} });
+    });
+
+    beforeEach(function () {
+      ids = [new ObjectId(), new ObjectId(), new ObjectId()];
+      writes = [
+        { insertOne: { document: { _id: ids[0] } } },
+        { updateMany: { filter: { name: 'x' }, update: { $set: { age: 1 } } } },
+        { insertOne: { document: { _id: ids[1] } } },
+        { updateOne: { filter: { name: 'y' }, update: { $set: { age: 2 } }, upsert: true } },
+        { insertOne: { document: { _id: ids[2] } } }
+      ];
+    });
+
+    it('should map inserted and upserted ids to the index of their operation', function () {
+      var upsertedId = new ObjectId();
+      var result = collection._bulkResult(writes, bulkWriteResult([{ index: 3, _id: upsertedId }]), [], true);
+
+      assert.deepEqual(result.insertedIds, [
+        { index: 0, id: ids[0].toString() },
+        { index: 2, id: ids[1].toString() },
+        { index: 4, id: ids[2].toString() }
+      ]);
+      assert.deepEqual(result.upsertedIds, [{ index: 3, id: upsertedId.toString() }]);
+      assert.strictEqual(result.insertedCount, 3);
+      assert.strictEqual(result.upsertedCount, 1);
+      assert.strictEqual(result.matchedCount, 2);
+      assert.strictEqual(result.modifiedCount, 1);
+      assert.strictEqual(result.deletedCount, 1);
+      assert.deepEqual(result.errors, []);
+    });
+
+    it('should not count inserts after the first failure of an ordered bulk write', function () {
+      var errors = [writeError(2)];
+      var result = collection._bulkResult(writes, bulkWriteResult([]), errors, true);
+
+      assert.deepEqual(_.pluck(result.insertedIds, 'index'), [0]);
+      assert.strictEqual(result.insertedCount, 1);
+      assert.strictEqual(result.errors, errors);
+    });
+
+    it('should only leave out the failed inserts of an unordered bulk write', function () {
+      var result = collection._bulkResult(writes, bulkWriteResult([]), [writeError(0), writeError(1)], false);
+
+      assert.deepEqual(_.pluck(result.insertedIds, 'index'), [2, 4]);
+      assert.strictEqual(result.insertedCount, 2);
+    });
+
+    it('should summarize an empty bulk write', function () {
+      var result = collection._bulkResult([], null, [], true);
+
+      assert.deepEqual(result, {
+        insertedCount: 0,
+        matchedCount: 0,
+        modifiedCount: 0,
+        deletedCount: 0,
+        upsertedCount: 0,
+        insertedIds: [],
+        upsertedIds: [],
+        errors: []
+      });
+    });
+
+  });
+
+  describe('running bulk writes', function () {
+    var collection, bulkError;
+
+    before(function () {
+      var db = stubs.db({
+        bulkWrite: function (writes, options, cb) {
+          cb(bulkError);
+        }
+      });
+
+      collection = stubs.collection({ identity: 'user', definition: { name: { type: 'string' } } }, db);
+    });
+
+    function failWith(writeErrors, writeConcernError) {
+      bulkError = stubs.bulkError(writeErrors, writeConcernError);
+    }
+
+    var operations = [
+      { type: 'insert', values: { name: 'a' } },
+      { type: 'insert', values: { name: 'b' } }
+    ];
+
+    it('should report failed operations in the result', function (done) {
+      failWith([{ index: 1, code: 121, errmsg: 'Document failed validation' }]);
+
+      collection.bulkWrite(operations, function (err, result) {
+        assert.ifError(err);
+        assert.strictEqual(result.insertedCount, 1);
+        assert.strictEqual(result.errors[0].index, 1);
+        assert.strictEqual(result.errors[0].error.code, 'E_VALIDATION');
+        done();
+      });
+    });
+
+    it('should fail on a write concern error', function (done) {
+      failWith([], { code: 64, errmsg: 'waiting for replication timed out' });
+
+      collection.bulkWrite(operations, function (err, result) {
+        assert.strictEqual(err, bulkError);
+        assert.strictEqual(result, undefined);
+        done();
+      });
+    });
+
+  });
+
+});
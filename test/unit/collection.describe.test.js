@@ -0,0 +1,88 @@
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var ObjectId = require('mongodb').ObjectID;
+var Collection = require('../../lib/collection');
+var stubs = require('../support/stubs');
+
+describe('Collection', function () {
+
+  describe('describing attributes', function () {
+    var collection;
+
+    before(function () {
+      collection = new Collection({
+        identity: 'user',
+        definition: {
+          id: { type: 'objectid', primaryKey: true },
+          email: { type: 'string', unique: true },
+          nickname: { type: 'string' }
+        }
+      }, { config: {} });
+    });
+
+    it('should infer the types of the sampled documents', function () {
+      var attributes = collection._describeAttributes([
+        { _id: new ObjectId(), email: 'a@example.com', age: 20, score: 1, tags: ['a'], createdAt: new Date(), active: true },
+        { _id: new ObjectId(), email: 'b@example.com', age: null, score: 1.5, tags: 'b', profile: { bio: 'hi' } }
+      ], []);
+
+      assert(_.isEqual(attributes, {
+        id: { type: 'objectid', primaryKey: true },
+        email: { type: 'string' },
+        age: { type: 'integer' },
+        score: { type: 'float' },
+        tags: { type: 'json' },
+        createdAt: { type: 'datetime' },
+        active: { type: 'boolean' },
+        profile: { type: 'json' }
+      }));
+    });
+
+    it('should flag attributes with single-field indexes', function () {
+      var attributes = collection._describeAttributes([], [
+        { key: { _id: 1 }, name: '_id_' },
+        { key: { email: 1 }, name: 'email_1', unique: true },
+        { key: { nickname: 1 }, name: 'nickname_1' },
+        { key: { email: 1, nickname: 1 }, name: 'email_1_nickname_1' }
+      ]);
+
+      assert(_.isEqual(attributes, {
+        email: { type: 'json', unique: true },
+        nickname: { type: 'json', index: true }
+      }));
+    });
+
+    it('should only describe stored fields', function () {
+      var attributes = collection._describeAttributes([{ _id: new ObjectId(), email: 'a@example.com' }], [
+        { key: { email: 1 }, name: 'email_1', unique: true }
+      ]);
+
+      assert(_.isEqual(attributes, {
+        id: { type: 'objectid', primaryKey: true },
+        email: { type: 'string', unique: true }
+      }));
+    });
+
+  });
+
+  describe('describing a missing collection', function () {
+
+    it('should call back with nothing', function (done) {
+      var db = stubs.db(null, {
+        listCollections: function (filter) {
+          assert.deepEqual(filter, { name: 'user' });
+          return { toArray: function (cb) { cb(null, []); } };
+        }
+      });
+      var collection = stubs.collection({ identity: 'user', definition: {} }, db);
+
+      collection.describe(function (err, attributes) {
+        assert.ifError(err);
+        assert.strictEqual(attributes, undefined);
+        done();
+      });
+    });
+
+  });
+
+});
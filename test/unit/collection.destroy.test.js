@@ -0,0 +1,84 @@
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var ObjectId = require('mongodb').ObjectID;
+var stubs = require('../support/stubs');
+
+describe('Collection', function () {
+
+  describe('destroying', function () {
+    var collection, records, ids, calls;
+
+    before(function () {
+      var db = stubs.db({
+        find: function (filter, options) {
+          calls.push({ method: 'find', filter: filter, options: options });
+          return {
+            toArray: function (cb) {
+              cb(null, options.projection ? _.map(records, function (record) { return _.pick(record, '_id'); }) : records);
+            }
+          };
+        },
+        deleteMany: function (filter, options, cb) {
+          calls.push({ method: 'deleteMany', filter: filter, options: options });
+          cb(null, { deletedCount: records.length });
+        }
+      });
+
+      collection = stubs.collection({
+        identity: 'user',
+        definition: { name: { type: 'string' } }
+      }, db);
+    });
+
+    beforeEach(function () {
+      calls = [];
+      ids = [new ObjectId(), new ObjectId()];
+      records = [{ _id: ids[0], name: 'foo' }, { _id: ids[1], name: 'foo' }];
+    });
+
+    it('should return the removed records by default', function (done) {
+      collection.destroy({ where: { name: 'foo' } }, function (err, results) {
+        assert.ifError(err);
+        assert.deepEqual(_.map(calls, 'method'), ['find', 'deleteMany']);
+        assert(!calls[0].options.projection);
+        assert.deepEqual(calls[1].filter, { _id: { $in: ids } });
+        assert.deepEqual(_.map(results, 'name'), ['foo', 'foo']);
+        assert.deepEqual(_.map(results, 'id'), _.invoke(ids, 'toString'));
+        done();
+      });
+    });
+
+    it('should only return the ids of the removed records with `fetch: \'ids\'`', function (done) {
+      collection.destroy({ where: { name: 'foo' } }, { fetch: 'ids' }, function (err, results) {
+        assert.ifError(err);
+        assert.deepEqual(_.map(calls, 'method'), ['find', 'deleteMany']);
+        assert.deepEqual(calls[0].options.projection, { _id: 1 });
+        assert.deepEqual(_.map(results, 'id'), _.invoke(ids, 'toString'));
+        assert(!_.has(results[0], 'name'));
+        done();
+      });
+    });
+
+    it('should skip looking up the records with `fetch: false`', function (done) {
+      collection.destroy({ where: { name: 'foo' } }, { fetch: false }, function (err, results) {
+        assert.ifError(err);
+        assert.deepEqual(_.map(calls, 'method'), ['deleteMany']);
+        assert.deepEqual(_.keys(calls[0].filter), ['name']);
+        assert.deepEqual(results, []);
+        done();
+      });
+    });
+
+    it('should not remove anything when no record matches', function (done) {
+      records = [];
+      collection.destroy({ where: { name: 'foo' } }, function (err, results) {
+        assert.ifError(err);
+        assert.deepEqual(_.map(calls, 'method'), ['find']);
+        assert.deepEqual(results, []);
+        done();
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,92 @@
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var Collection = require('../../lib/collection');
+
+describe('Collection', function () {
+
+  describe('building indexes', function () {
+
+    function build(definition, config) {
+      return new Collection(_.extend({ identity: 'store' }, definition), { config: { wlNext: config } });
+    }
+
+    it('should build sparse single-field indexes', function () {
+      var collection = build({
+        definition: {
+          email: { type: 'string', unique: true },
+          city: { type: 'string', index: true }
+        }
+      });
+
+      assert(_.isEqual(collection.indexes, [
+        { index: { email: 1 }, options: { sparse: true, unique: true } },
+        { index: { city: 1 }, options: { sparse: true } }
+      ]));
+    });
+
+    it('should give string indexes the query collation', function () {
+      var collection = build({ definition: { email: { type: 'string', unique: true } } }, { collation: true });
+      assert(_.isEqual(collection.indexes[0].options.collation, { locale: 'en', strength: 2 }));
+    });
+
+    it('should build 2dsphere indexes for geospatial attributes', function () {
+      var collection = build({
+        definition: {
+          location: { type: 'point' },
+          area: { type: 'geojson' }
+        }
+      });
+
+      assert(_.isEqual(collection.indexes, [
+        { index: { location: '2dsphere' }, options: {} },
+        { index: { area: '2dsphere' }, options: {} }
+      ]));
+    });
+
+    it('should build a single weighted text index', function () {
+      var collection = build({
+        definition: {
+          name: { type: 'string', textIndex: { weight: 10 } },
+          description: { type: 'text', textIndex: true }
+        }
+      });
+
+      assert(_.isEqual(collection.indexes, [
+        { index: { name: 'text', description: 'text' }, options: { weights: { name: 10, description: 1 } } }
+      ]));
+    });
+
+    it('should build compound, TTL, partial and named indexes from the model', function () {
+      var collection = build({
+        definition: {
+          lastName: { type: 'string' },
+          firstName: { type: 'string' },
+          age: { type: 'integer' },
+          expiresAt: { type: 'datetime' }
+        },
+        indexes: [
+          { attributes: { lastName: 1, firstName: -1 }, name: 'by_name', unique: true, collation: true },
+          { attributes: ['expiresAt'], expireAfterSeconds: 0 },
+          { attributes: ['lastName'], partialFilterExpression: { age: { '>=': '18' }, lastName: 'Doe' } }
+        ]
+      });
+
+      assert(_.isEqual(collection.indexes, [
+        {
+          index: { lastName: 1, firstName: -1 },
+          options: { name: 'by_name', unique: true, collation: { locale: 'en', strength: 2 } }
+        },
+        { index: { expiresAt: 1 }, options: { expireAfterSeconds: 0 } },
+        { index: { lastName: 1 }, options: { partialFilterExpression: { age: { $gte: 18 }, lastName: 'Doe' } } }
+      ]));
+    });
+
+    it('should throw on index definitions without attributes', function () {
+      assert.throws(function () {
+        build({ definition: {}, indexes: [{ name: 'nothing' }] });
+      });
+    });
+
+  });
+
+});
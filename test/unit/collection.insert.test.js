@@ -0,0 +1,77 @@
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var stubs = require('../support/stubs');
+
+describe('Collection', function () {
+
+  describe('inserting unordered', function () {
+    var collection, insertError, calls;
+
+    before(function () {
+      var db = stubs.db({
+        insertMany: function (docs, options, cb) {
+          calls.push({ docs: docs, options: options });
+          if (insertError) return cb(insertError);
+          cb(null, { ops: docs });
+        }
+      });
+
+      collection = stubs.collection({
+        identity: 'user',
+        definition: { email: { type: 'string' } }
+      }, db);
+    });
+
+    beforeEach(function () {
+      calls = [];
+      insertError = null;
+    });
+
+    var values = [{ email: 'a@example.com' }, { email: 'b@example.com' }, { email: 'c@example.com' }];
+
+    it('should return the inserted records along with the failed ones', function (done) {
+      insertError = stubs.bulkError([{ index: 1, err: { index: 1, code: 11000, errmsg: 'E11000 duplicate key error collection: sails.user index: email_1 dup key: { : "b@example.com" }' } }]);
+
+      collection.insert(values, { ordered: false }, function (err, records, errors) {
+        assert.ifError(err);
+        assert.strictEqual(calls[0].options.ordered, false);
+        assert.deepEqual(_.pluck(records, 'email'), ['a@example.com', 'c@example.com']);
+        assert.equal(errors.length, 1);
+        assert.strictEqual(errors[0].index, 1);
+        assert.strictEqual(errors[0].error.code, 'E_UNIQUE');
+        done();
+      });
+    });
+
+    it('should fail on a write concern error', function (done) {
+      insertError = stubs.bulkError([{ index: 1, err: { index: 1, code: 11000, errmsg: 'E11000 duplicate key error' } }], { code: 64, errmsg: 'waiting for replication timed out' });
+
+      collection.insert(values, { ordered: false }, function (err, records) {
+        assert.strictEqual(err, insertError);
+        assert.strictEqual(records, undefined);
+        done();
+      });
+    });
+
+    it('should fail on a bulk error without write errors', function (done) {
+      insertError = stubs.bulkError([], { code: 64, errmsg: 'waiting for replication timed out' });
+
+      collection.insert(values, { ordered: false }, function (err) {
+        assert.strictEqual(err, insertError);
+        done();
+      });
+    });
+
+    it('should fail ordered inserts on the first error', function (done) {
+      insertError = stubs.bulkError([{ index: 1, err: { index: 1, code: 11000, errmsg: 'E11000 duplicate key error' } }]);
+
+      collection.insert(values, function (err) {
+        assert.strictEqual(err, insertError);
+        assert(!_.has(calls[0].options, 'ordered'));
+        done();
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,107 @@
+var assert = require('assert');
+var EventEmitter = require('events').EventEmitter;
+var stubs = require('../support/stubs');
+
+describe('Collection', function () {
+
+  describe('read preference and read concern', function () {
+    var plain, preferring, opened;
+
+    before(function () {
+      var native = {
+        find: function () {
+          return {
+            toArray: function (cb) { cb(null, []); },
+            stream: function () { return new EventEmitter(); }
+          };
+        },
+        count: function (where, options, cb) { cb(null, 0); },
+        aggregate: function () {
+          return { toArray: function (cb) { cb(null, []); } };
+        }
+      };
+
+      var db = stubs.db(native, {
+        collection: function (name, options) {
+          opened.push({ name: name, options: options });
+          return native;
+        }
+      });
+
+      var definition = { name: { type: 'string' } };
+      var config = { config: { wlNext: { caseSensitive: true } } };
+
+      plain = stubs.collection({ identity: 'user', definition: definition }, db, config);
+      preferring = stubs.collection({
+        identity: 'user',
+        definition: definition,
+        readPreference: 'secondaryPreferred',
+        readConcern: 'local'
+      }, db, config);
+    });
+
+    beforeEach(function () {
+      opened = [];
+    });
+
+    function assertRead(readPreference, readConcern) {
+      assert.equal(opened.length, 1);
+      assert.equal(opened[0].name, 'user');
+      assert.equal(opened[0].options.readPreference && opened[0].options.readPreference.mode, readPreference);
+      assert.deepEqual(opened[0].options.readConcern, readConcern);
+    }
+
+    var reads = {
+      find: function (collection, criteria, cb) {
+        collection.find(criteria, cb);
+      },
+      count: function (collection, criteria, cb) {
+        collection.count(criteria, cb);
+      },
+      stream: function (collection, criteria, cb) {
+        collection.stream(criteria, { write: function () {}, end: function () {} });
+        cb();
+      },
+      aggregate: function (collection, criteria, cb) {
+        collection.aggregate([], criteria, cb);
+      }
+    };
+
+    Object.keys(reads).forEach(function (method) {
+
+      describe('.' + method + '()', function () {
+
+        it('should read with the driver defaults when none is given', function (done) {
+          reads[method](plain, { where: { name: 'foo' } }, function (err) {
+            assert.ifError(err);
+            assert.deepEqual(opened, [{ name: 'user', options: {} }]);
+            done();
+          });
+        });
+
+        it('should read with the defaults of the model', function (done) {
+          reads[method](preferring, { where: { name: 'foo' } }, function (err) {
+            assert.ifError(err);
+            assertRead('secondaryPreferred', { level: 'local' });
+            done();
+          });
+        });
+
+        it('should read with the ones of the query over the defaults of the model', function (done) {
+          var criteria = { where: { name: 'foo' }, readPreference: { mode: 'nearest', tags: { dc: 'east' } }, readConcern: 'majority' };
+
+          reads[method](preferring, criteria, function (err) {
+            assert.ifError(err);
+            assertRead('nearest', { level: 'majority' });
+            assert.deepEqual(opened[0].options.readPreference.tags, [{ dc: 'east' }]);
+            done();
+          });
+        });
+
+      });
+
+    });
+
+  });
+
+});
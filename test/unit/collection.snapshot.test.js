@@ -0,0 +1,144 @@
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var ObjectId = require('mongodb').ObjectID;
+var ReadPreference = require('mongodb').ReadPreference;
+var Collection = require('../../lib/collection');
+var stubs = require('../support/stubs');
+
+describe('Collection', function () {
+
+  describe('single document criteria', function () {
+    var isSingle = Collection.prototype._isSingleDocument;
+
+    it('should match an exact `_id` equality', function () {
+      assert(isSingle({ _id: new ObjectId() }));
+      assert(isSingle({ _id: 'abc', name: 'foo' }));
+      assert(isSingle({ _id: 1 }));
+    });
+
+    it('should not match anything else', function () {
+      assert(!isSingle(undefined));
+      assert(!isSingle({}));
+      assert(!isSingle({ name: 'foo' }));
+      assert(!isSingle({ _id: { $in: [new ObjectId()] } }));
+      assert(!isSingle({ _id: /abc/ }));
+    });
+
+  });
+
+  describe('running on a snapshot', function () {
+    var collection, supported, calls;
+
+    function withSession(options) {
+      var session = stubs.session(calls, options);
+      collection.connection.startSession = function () {
+        return session;
+      };
+      return session;
+    }
+
+    beforeEach(function () {
+      calls = [];
+      supported = true;
+      collection = new Collection({ identity: 'user', definition: {} }, {
+        config: { snapshotWrites: true },
+        supportsTransactions: function (cb) {
+          cb(null, supported);
+        }
+      });
+    });
+
+    it('should reuse the session of the caller', function (done) {
+      var session = stubs.session(calls);
+      collection._withSnapshot({ session: session }, function (current, cb) {
+        assert.strictEqual(current, session);
+        cb(null, 'ok');
+      }, function (err, result) {
+        assert.ifError(err);
+        assert.equal(result, 'ok');
+        assert.deepEqual(calls, []);
+        done();
+      });
+    });
+
+    it('should run without a session unless the connection enables snapshots', function (done) {
+      collection.connection.config = {};
+      collection.connection.supportsTransactions = function () {
+        done(new Error('should not check for transactions'));
+      };
+
+      collection._withSnapshot({}, function (session, cb) {
+        assert.strictEqual(session, undefined);
+        cb(null, 'ok');
+      }, function (err, result) {
+        assert.ifError(err);
+        assert.equal(result, 'ok');
+        assert.deepEqual(calls, []);
+        done();
+      });
+    });
+
+    it('should run without a session when transactions are not supported', function (done) {
+      supported = false;
+      collection._withSnapshot({}, function (session, cb) {
+        assert.strictEqual(session, undefined);
+        cb(null, 'ok');
+      }, function (err, result) {
+        assert.ifError(err);
+        assert.equal(result, 'ok');
+        done();
+      });
+    });
+
+    it('should commit a snapshot transaction reading from the primary', function (done) {
+      var session = withSession();
+      collection._withSnapshot({}, function (current, cb) {
+        assert.strictEqual(current, session);
+        cb(null, 'ok');
+      }, function (err, result) {
+        assert.ifError(err);
+        assert.equal(result, 'ok');
+        assert.deepEqual(calls, ['start', 'commit', 'end']);
+        assert.deepEqual(session.transactionOptions.readConcern, { level: 'snapshot' });
+        assert.strictEqual(session.transactionOptions.readPreference, ReadPreference.primary);
+        assert(!_.has(session.transactionOptions, 'writeConcern'));
+        done();
+      });
+    });
+
+    it('should abort the transaction when `fn` fails', function (done) {
+      withSession();
+      collection._withSnapshot({}, function (session, cb) {
+        cb(new Error('boom'));
+      }, function (err) {
+        assert.equal(err.message, 'boom');
+        assert.deepEqual(calls, ['start', 'abort', 'end']);
+        done();
+      });
+    });
+
+    it('should report a failed commit', function (done) {
+      withSession({ commitError: new Error('commit') });
+      collection._withSnapshot({}, function (session, cb) {
+        cb(null, 'ok');
+      }, function (err) {
+        assert.equal(err.message, 'commit');
+        assert.deepEqual(calls, ['start', 'commit', 'end']);
+        done();
+      });
+    });
+
+    it('should report a transaction that cannot be started', function (done) {
+      withSession({ startError: new Error('Transactions are not supported') });
+      collection._withSnapshot({}, function () {
+        done(new Error('should not run'));
+      }, function (err) {
+        assert.equal(err.message, 'Transactions are not supported');
+        assert.deepEqual(calls, ['start', 'end']);
+        done();
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,104 @@
+var assert = require('assert');
+var Collection = require('../../lib/collection');
+var Query = require('../../lib/query');
+
+describe('Collection', function () {
+
+  describe('with soft delete enabled', function () {
+    var collection;
+
+    before(function () {
+      collection = new Collection({
+        identity: 'user',
+        softDelete: true,
+        definition: {
+          name: { type: 'string' },
+          deletedAt: { type: 'datetime' }
+        }
+      }, { config: {} });
+    });
+
+    function scoped(criteria) {
+      var query = new Query(criteria, collection.schema, collection.config);
+      collection._scopeDeleted(query);
+      return query.criteria.where;
+    }
+
+    it('should default the attribute to `deletedAt`', function () {
+      assert.strictEqual(collection.softDelete, 'deletedAt');
+    });
+
+    it('should exclude deleted documents', function () {
+      var where = scoped({ where: { name: 'foo' } });
+      assert(where.hasOwnProperty('name'));
+      assert.strictEqual(where.deletedAt, null);
+    });
+
+    it('should exclude deleted documents when there is no where clause', function () {
+      assert.deepEqual(scoped({}), { deletedAt: null });
+    });
+
+    it('should flag documents instead of removing them in bulk writes', function () {
+      var write = collection._buildWrite({ type: 'destroy', criteria: { name: 'foo' } }, 0);
+      assert(write.updateMany.filter.hasOwnProperty('name'));
+      assert(write.updateMany.update.$set.deletedAt instanceof Date);
+    });
+
+    it('should include deleted documents with `withDeleted`', function () {
+      var where = scoped({ where: { name: 'foo' }, withDeleted: true });
+      assert(!where.hasOwnProperty('deletedAt'));
+    });
+
+    it('should not override an explicit filter on the attribute', function () {
+      var where = scoped({ where: { deletedAt: { '!': null } } });
+      assert.deepEqual(where, { deletedAt: { $ne: null } });
+    });
+
+    describe('restoring', function () {
+
+      function restored(criteria) {
+        var args;
+        var restoring = Object.create(collection);
+        restoring.update = function (criteria, values, options, cb) {
+          args = { criteria: criteria, values: values };
+          cb(null, []);
+        };
+        restoring.restore(criteria, function () {});
+        return args;
+      }
+
+      it('should only restore the deleted documents matching shorthand criteria', function () {
+        var args = restored({ name: 'foo' });
+        assert.deepEqual(args.criteria, { where: { name: 'foo', deletedAt: { '!': null } }, withDeleted: true });
+        assert.deepEqual(args.values, { $unset: { deletedAt: '' } });
+      });
+
+      it('should only restore the deleted documents matching a where clause', function () {
+        var args = restored({ where: { name: 'foo' }, limit: 1 });
+        assert.deepEqual(args.criteria, { where: { name: 'foo', deletedAt: { '!': null } }, limit: 1, withDeleted: true });
+      });
+
+    });
+
+  });
+
+  describe('without soft delete', function () {
+
+    it('should refuse to restore', function (done) {
+      var collection = new Collection({ identity: 'user', definition: {} }, { config: {} });
+      collection.restore({ name: 'foo' }, function (err) {
+        assert(err);
+        done();
+      });
+    });
+
+    it('should leave the query untouched', function () {
+      var collection = new Collection({ identity: 'user', definition: { name: { type: 'string' } } }, { config: {} });
+      var query = new Query({ where: { name: 'foo' } }, collection.schema, collection.config);
+      collection._scopeDeleted(query);
+      assert(!query.criteria.where.hasOwnProperty('deletedAt'));
+    });
+
+  });
+
+});
@@ -0,0 +1,65 @@
+var assert = require('assert');
+var ObjectID = require('mongodb').ObjectID;
+var Collection = require('../../lib/collection');
+
+describe('Collection', function () {
+
+  describe('building an update document', function () {
+    var collection;
+
+    before(function () {
+      collection = new Collection({
+        identity: 'user',
+        definition: {
+          id: { type: 'objectid', primaryKey: true },
+          name: { type: 'string' },
+          logins: { type: 'integer' },
+          friends: { type: 'array' },
+          team: { type: 'objectid', foreignKey: true }
+        }
+      }, { config: {} });
+    });
+
+    it('should wrap plain values in $set', function () {
+      var update = collection._buildUpdate({ name: 'foo' });
+      assert.deepEqual(update, { $set: { name: 'foo' } });
+    });
+
+    it('should pass update operators through next to $set', function () {
+      var update = collection._buildUpdate({ name: 'foo', $inc: { logins: 1 }, $unset: { friends: '' } });
+      assert.deepEqual(update, { $set: { name: 'foo' }, $inc: { logins: 1 }, $unset: { friends: '' } });
+    });
+
+    it('should omit $set when only operators are given', function () {
+      var update = collection._buildUpdate({ $inc: { logins: 1 } });
+      assert(!update.hasOwnProperty('$set'));
+    });
+
+    it('should serialize foreign keys inside operators', function () {
+      var id = new ObjectID().toString();
+      var update = collection._buildUpdate({ $pull: { team: id } });
+      assert(update.$pull.team instanceof ObjectID);
+      assert.strictEqual(update.$pull.team.toString(), id);
+    });
+
+    it('should serialize foreign keys nested in $each and $in', function () {
+      var ids = [new ObjectID().toString(), new ObjectID().toString()];
+      var update = collection._buildUpdate({ $addToSet: { team: { $each: ids } }, $pull: { team: { $in: ids } } });
+      assert(update.$addToSet.team.$each[0] instanceof ObjectID);
+      assert(update.$pull.team.$in[1] instanceof ObjectID);
+    });
+
+    it('should never update the primary key', function () {
+      var update = collection._buildUpdate({ id: 'abc', name: 'foo', $inc: { id: 1, logins: 1 } });
+      assert.deepEqual(update, { $set: { name: 'foo' }, $inc: { logins: 1 } });
+    });
+
+    it('should throw on unsupported operators', function () {
+      assert.throws(function () {
+        collection._buildUpdate({ $rename: { name: 'title' } });
+      });
+    });
+
+  });
+
+});
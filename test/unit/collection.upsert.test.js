@@ -0,0 +1,83 @@
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var ObjectId = require('mongodb').ObjectID;
+var stubs = require('../support/stubs');
+
+describe('Collection', function () {
+
+  describe('upserting', function () {
+    var collection, calls;
+
+    before(function () {
+      var db = stubs.db({
+        findOneAndUpdate: function (filter, update, options, cb) {
+          calls.push({ filter: filter, update: update, options: options });
+          cb(null, { value: _.extend({ _id: 'abc' }, update.$set || update.$setOnInsert) });
+        }
+      });
+
+      collection = stubs.collection({
+        identity: 'user',
+        definition: { email: { type: 'string' }, name: { type: 'string' } }
+      }, db);
+    });
+
+    beforeEach(function () {
+      calls = [];
+    });
+
+    it('should treat shorthand criteria as the where clause, matched case-sensitively', function (done) {
+      collection.upsert({ email: 'a@example.com' }, { name: 'A' }, function (err) {
+        assert.ifError(err);
+        assert(_.isEqual(calls[0].filter, { email: 'a@example.com' }));
+        assert(_.isEqual(calls[0].update, { $set: { name: 'A' } }));
+        assert.strictEqual(calls[0].options.upsert, true);
+        done();
+      });
+    });
+
+    it('should only set the values on insert with `insertOnly`', function (done) {
+      collection.upsert({ where: { email: 'a@example.com' } }, { name: 'A' }, { insertOnly: true }, function (err) {
+        assert.ifError(err);
+        assert(_.isEqual(calls[0].update, { $setOnInsert: { name: 'A' } }));
+        done();
+      });
+    });
+
+    it('should refuse update operators with `insertOnly`', function (done) {
+      collection.upsert({ email: 'a@example.com' }, { name: 'A', $inc: { visits: 1 } }, { insertOnly: true }, function (err) {
+        assert(err);
+        assert.strictEqual(calls.length, 0);
+        done();
+      });
+    });
+
+    it('should never send an empty `$setOnInsert`', function (done) {
+      collection.upsert({ email: 'a@example.com' }, {}, { insertOnly: true }, function (err) {
+        assert.ifError(err);
+        assert(calls[0].update.$setOnInsert._id instanceof ObjectId);
+        assert.deepEqual(_.keys(calls[0].update.$setOnInsert), ['_id']);
+        done();
+      });
+    });
+
+    it('should keep the id matched on when there is nothing else to set', function (done) {
+      collection.upsert({ id: 'abc' }, {}, { insertOnly: true }, function (err) {
+        assert.ifError(err);
+        assert(_.isEqual(calls[0].filter, { _id: 'abc' }));
+        assert(_.isEqual(calls[0].update, { $setOnInsert: { _id: 'abc' } }));
+        done();
+      });
+    });
+
+    it('should refuse criteria matching every document', function (done) {
+      collection.upsert({}, { name: 'A' }, function (err) {
+        assert(err);
+        assert.strictEqual(calls.length, 0);
+        done();
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,50 @@
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var Collection = require('../../lib/collection');
+
+describe('Collection', function () {
+
+  describe('building the schema validator', function () {
+
+    function build(enforceSchema) {
+      return new Collection({
+        identity: 'user',
+        definition: {
+          id: { type: 'objectid', primaryKey: true },
+          email: { type: 'string', unique: true },
+          nick: { type: 'string' },
+          role: { type: 'string', enum: ['admin', 'user'] },
+          age: { type: 'integer' },
+          profile: { type: 'json' }
+        },
+        _attributes: {
+          email: { type: 'email', required: true },
+          nickname: { type: 'string', columnName: 'nick', minLength: 2, maxLength: 20 },
+          role: { type: 'string', enum: ['admin', 'user'] }
+        }
+      }, { config: { enforceSchema: enforceSchema } });
+    }
+
+    it('should not build a validator unless enforced', function () {
+      assert.strictEqual(build(false).validator, null);
+    });
+
+    it('should build a $jsonSchema from the attributes', function () {
+      assert(_.isEqual(build(true).validator, {
+        $jsonSchema: {
+          bsonType: 'object',
+          properties: {
+            email: { bsonType: 'string' },
+            nick: { bsonType: ['string', 'null'], minLength: 2, maxLength: 20 },
+            role: { bsonType: ['string', 'null'], enum: ['admin', 'user', null] },
+            age: { bsonType: ['number', 'null'] },
+            profile: {}
+          },
+          required: ['email']
+        }
+      }));
+    });
+
+  });
+
+});
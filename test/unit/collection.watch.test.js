@@ -0,0 +1,114 @@
+var assert = require('assert');
+var EventEmitter = require('events').EventEmitter;
+var _ = require('@sailshq/lodash');
+var ObjectId = require('mongodb').ObjectID;
+var Collection = require('../../lib/collection');
+var stubs = require('../support/stubs');
+
+describe('Collection', function () {
+
+  describe('change stream pipeline', function () {
+    var pipeline = Collection.prototype._changeStreamPipeline;
+    var operations = { $in: ['insert', 'update', 'replace', 'delete'] };
+
+    it('should only match document changes without a where clause', function () {
+      assert.deepEqual(pipeline({}), [{ $match: { operationType: operations } }]);
+    });
+
+    it('should match fields against the changed document and always let deletes through', function () {
+      var match = pipeline({ name: 'foo', $or: [{ age: { $gt: 18 } }, { admin: true }] })[0].$match;
+
+      assert.deepEqual(match, {
+        operationType: operations,
+        $or: [
+          { operationType: 'delete' },
+          {
+            'fullDocument.name': 'foo',
+            $or: [{ 'fullDocument.age': { $gt: 18 } }, { 'fullDocument.admin': true }]
+          }
+        ]
+      });
+    });
+
+  });
+
+  describe('watching', function () {
+    var collection, changeStream, watched;
+
+    before(function () {
+      var db = stubs.db({
+        watch: function (pipeline, options) {
+          watched = { pipeline: pipeline, options: options };
+          changeStream = new EventEmitter();
+          return changeStream;
+        }
+      });
+
+      collection = stubs.collection({
+        identity: 'user',
+        softDelete: true,
+        definition: { name: { type: 'string' }, deletedAt: { type: 'datetime' } }
+      }, db, { config: { wlNext: { caseSensitive: true } } });
+    });
+
+    function watch(criteria, cb) {
+      var events = [];
+      var stream = collection.watch(criteria, function (err, event) {
+        events.push(err || event);
+      });
+      return cb(stream, events);
+    }
+
+    it('should treat shorthand criteria as the where clause', function () {
+      watch({ name: 'foo', resumeAfter: { _data: 'token' } }, function () {
+        assert.deepEqual(watched.pipeline[0].$match.$or[1], { 'fullDocument.name': 'foo' });
+        assert.deepEqual(watched.options, { fullDocument: 'updateLookup', resumeAfter: { _data: 'token' } });
+      });
+    });
+
+    it('should watch the where clause of full criteria', function () {
+      watch({ where: { name: 'foo' }, limit: 10 }, function () {
+        assert.deepEqual(watched.pipeline[0].$match.$or[1], { 'fullDocument.name': 'foo' });
+        assert.deepEqual(watched.options, { fullDocument: 'updateLookup' });
+      });
+    });
+
+    it('should map changes to events', function () {
+      var id = new ObjectId();
+
+      watch({}, function (stream, events) {
+        assert.strictEqual(stream, changeStream);
+
+        stream.emit('change', { _id: 'a', operationType: 'insert', documentKey: { _id: id }, fullDocument: { _id: id, name: 'foo' } });
+        stream.emit('change', { _id: 'b', operationType: 'replace', documentKey: { _id: id }, fullDocument: { _id: id, name: 'bar' } });
+        stream.emit('change', { _id: 'c', operationType: 'delete', documentKey: { _id: id } });
+
+        assert.deepEqual(events, [
+          { type: 'insert', id: id.toString(), record: { id: id.toString(), name: 'foo' }, resumeToken: 'a' },
+          { type: 'update', id: id.toString(), record: { id: id.toString(), name: 'bar' }, resumeToken: 'b' },
+          { type: 'delete', id: id.toString(), record: null, resumeToken: 'c' }
+        ]);
+      });
+    });
+
+    it('should report soft deletes as deletes', function () {
+      var id = new ObjectId();
+      var deletedAt = new Date();
+
+      watch({}, function (stream, events) {
+        stream.emit('change', { _id: 'a', operationType: 'update', documentKey: { _id: id }, fullDocument: { _id: id, name: 'foo', deletedAt: deletedAt } });
+        assert.equal(events[0].type, 'delete');
+        assert.strictEqual(events[0].record.deletedAt, deletedAt);
+      });
+    });
+
+    it('should pass stream errors to the handler', function () {
+      watch({}, function (stream, events) {
+        stream.emit('error', new Error('boom'));
+        assert.equal(events[0].message, 'boom');
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,69 @@
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var Connection = require('../../lib/connection');
+
+describe('Connection', function () {
+
+  describe('diffing indexes', function () {
+
+    var existing = [
+      { v: 2, key: { _id: 1 }, name: '_id_' },
+      { v: 2, key: { email: 1 }, name: 'email_1', sparse: true },
+      { v: 2, key: { city: 1 }, name: 'city_1', sparse: true },
+      { v: 2, key: { legacy: 1 }, name: 'legacy_1' },
+      { v: 2, key: { _fts: 'text', _ftsx: 1 }, name: 'name_text', weights: { name: 1 } }
+    ];
+
+    var indexes = [
+      { index: { email: 1 }, options: { sparse: true, unique: true } },
+      { index: { city: 1 }, options: { sparse: true } },
+      { index: { name: 'text' }, options: { weights: { name: 1 } } },
+      { index: { lastName: 1, firstName: -1 }, options: { name: 'by_name' } }
+    ];
+
+    function diff(strategy) {
+      return Connection.prototype._diffIndexes(existing, indexes, strategy);
+    }
+
+    it('should only create missing indexes and skip conflicts when safe', function () {
+      var result = diff('safe');
+      assert(_.isEqual(result.create, [indexes[3]]));
+      assert(_.isEqual(result.drop, []));
+      assert(_.isEqual(result.skip, ['email_1']));
+    });
+
+    it('should rebuild conflicting indexes and drop stale ones when altering', function () {
+      var result = diff('alter');
+      assert(_.isEqual(result.create, [indexes[0], indexes[3]]));
+      assert(_.isEqual(result.drop, ['email_1', 'legacy_1']));
+      assert(_.isEqual(result.skip, []));
+    });
+
+    it('should drop and recreate every index but `_id_` when dropping', function () {
+      var result = diff('drop');
+      assert(_.isEqual(result.create, indexes));
+      assert(_.isEqual(result.drop, ['email_1', 'city_1', 'legacy_1', 'name_text']));
+    });
+
+    it('should rebuild an index whose name changed', function () {
+      var result = Connection.prototype._diffIndexes(existing, [
+        { index: { city: 1 }, options: { sparse: true, name: 'by_city' } }
+      ], 'alter');
+
+      assert(_.isEqual(_.map(result.create, 'options.name'), ['by_city']));
+      assert(_.includes(result.drop, 'city_1'));
+    });
+
+    it('should compare collations on the given fields only', function () {
+      var result = Connection.prototype._diffIndexes([
+        { key: { email: 1 }, name: 'email_1', collation: { locale: 'en', strength: 2, caseLevel: false } }
+      ], [
+        { index: { email: 1 }, options: { collation: { locale: 'en', strength: 2 } } }
+      ], 'alter');
+
+      assert(_.isEqual(result, { create: [], drop: [], skip: [] }));
+    });
+
+  });
+
+});
@@ -0,0 +1,52 @@
+var assert = require('assert');
+var Connection = require('../../lib/connection');
+
+describe('Connection', function () {
+
+  describe('checking transaction support', function () {
+
+    function supports(isMaster, cb) {
+      var connection = Object.create(Connection.prototype);
+      connection.client = {
+        db: function () {
+          return {
+            command: function (command, cb) {
+              cb(null, isMaster);
+            }
+          };
+        }
+      };
+      connection.supportsTransactions(cb);
+    }
+
+    function check(isMaster, expected, done) {
+      supports(isMaster, function (err, supported) {
+        assert.ifError(err);
+        assert.strictEqual(supported, expected);
+        done();
+      });
+    }
+
+    it('should support replica sets running MongoDB 4.0+', function (done) {
+      check({ setName: 'rs0', maxWireVersion: 7 }, true, done);
+    });
+
+    it('should not support replica sets older than MongoDB 4.0', function (done) {
+      check({ setName: 'rs0', maxWireVersion: 6 }, false, done);
+    });
+
+    it('should support sharded clusters running MongoDB 4.2+', function (done) {
+      check({ msg: 'isdbgrid', maxWireVersion: 8 }, true, done);
+    });
+
+    it('should not support sharded clusters older than MongoDB 4.2', function (done) {
+      check({ msg: 'isdbgrid', maxWireVersion: 7 }, false, done);
+    });
+
+    it('should not support standalone servers', function (done) {
+      check({ maxWireVersion: 8 }, false, done);
+    });
+
+  });
+
+});
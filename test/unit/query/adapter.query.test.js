@@ -269,4 +269,191 @@ describe('Query', function () {
 
   });
 
+  describe('with a case-insensitive collation', function () {
+
+    it('should send equality values as is', function () {
+      var Q = new Query({ where: { name: 'Clark' } }, { name: 'string' }, { collation: true });
+      assert(_.isEqual(Q.criteria.where, { name: 'Clark' }));
+      assert(_.isEqual(Q.collation, { locale: 'en', strength: 2 }));
+    });
+
+    it('should use the configured collation', function () {
+      var Q = new Query({ where: { name: 'Clark' } }, { name: 'string' }, { collation: { locale: 'fr', strength: 1 } });
+      assert(_.isEqual(Q.collation, { locale: 'fr', strength: 1 }));
+    });
+
+    it('should still build regular expressions for `like`', function () {
+      var Q = new Query({ where: { name: { like: 'Cl%' } } }, { name: 'string' }, { collation: true });
+      assert(Q.criteria.where.name.$regex instanceof RegExp);
+    });
+
+    it('should not apply when queries are case sensitive', function () {
+      var Q = new Query({ where: { name: 'Clark' } }, { name: 'string' }, { collation: true, caseSensitive: true });
+      assert.strictEqual(Q.collation, null);
+    });
+
+  });
+
+  describe('with a full-text search', function () {
+
+    it('should add a $text expression to the where clause', function () {
+      var Q = new Query({ where: { published: true }, search: 'coffee shop' }, { published: { type: 'boolean' } });
+      assert(_.isEqual(Q.criteria.where, { published: true, $text: { $search: 'coffee shop' } }));
+    });
+
+    it('should build the search string from phrases and excluded terms', function () {
+      var Q = new Query({
+        search: { terms: 'coffee', phrase: 'flat white', exclude: ['decaf', 'tea'], language: 'en', caseSensitive: false }
+      }, {});
+      assert(_.isEqual(Q.criteria.where.$text, {
+        $search: 'coffee "flat white" -decaf -tea',
+        $language: 'en',
+        $caseSensitive: false
+      }));
+    });
+
+    it('should project and sort on the relevance score', function () {
+      var Q = new Query({ search: 'coffee', sort: { score: -1 } }, {});
+      assert(_.isEqual(Q.select, { score: { $meta: 'textScore' } }));
+      assert(_.isEqual(Q.criteria.sort, { score: { $meta: 'textScore' } }));
+    });
+
+    it('should only project the score when selected', function () {
+      var Q = new Query({ search: 'coffee', select: ['name'] }, {});
+      assert(_.isEqual(Q.select, { name: 1 }));
+
+      Q = new Query({ search: 'coffee', select: ['name', 'score'] }, {});
+      assert(_.isEqual(Q.select, { name: 1, score: { $meta: 'textScore' } }));
+    });
+
+    it('should project the score to `scoreField`', function () {
+      var Q = new Query({ search: { terms: 'coffee', scoreField: 'relevance' }, sort: { relevance: -1 } }, { score: { type: 'integer' } });
+      assert(_.isEqual(Q.criteria.where.$text, { $search: 'coffee' }));
+      assert(_.isEqual(Q.select, { relevance: { $meta: 'textScore' } }));
+      assert(_.isEqual(Q.criteria.sort, { relevance: { $meta: 'textScore' } }));
+    });
+
+    it('should refuse a score overriding an attribute', function () {
+      assert.throws(function () {
+        new Query({ search: 'coffee' }, { score: { type: 'integer' } });
+      }, /`score` attribute/);
+    });
+
+  });
+
+  describe('with geospatial modifiers', function () {
+
+    it('should parse `near` as $nearSphere', function () {
+      var Q = new Query({ where: { location: { near: { coordinates: [13.4, 52.5], maxDistance: 1000 } } } }, {});
+      assert(_.isEqual(Q.criteria.where, {
+        location: { $nearSphere: { $geometry: { type: 'Point', coordinates: [13.4, 52.5] }, $maxDistance: 1000 } }
+      }));
+    });
+
+    it('should accept GeoJSON points in `near`', function () {
+      var point = { type: 'Point', coordinates: [13.4, 52.5] };
+      var Q = new Query({ where: { location: { near: point } } }, {});
+      assert(_.isEqual(Q.criteria.where.location.$nearSphere.$geometry, point));
+    });
+
+    it('should close the ring of `withinPolygon`', function () {
+      var Q = new Query({ where: { location: { withinPolygon: [[0, 0], [0, 1], [1, 1]] } } }, {});
+      assert(_.isEqual(Q.criteria.where.location, {
+        $geoWithin: { $geometry: { type: 'Polygon', coordinates: [[[0, 0], [0, 1], [1, 1], [0, 0]]] } }
+      }));
+    });
+
+    it('should convert the radius of `withinRadius` to radians', function () {
+      var Q = new Query({ where: { location: { withinRadius: { center: [0, 0], radius: Query.EARTH_RADIUS } } } }, {});
+      assert(_.isEqual(Q.criteria.where.location, { $geoWithin: { $centerSphere: [[0, 0], 1] } }));
+    });
+
+    it('should parse `intersects` as $geoIntersects', function () {
+      var line = { type: 'LineString', coordinates: [[0, 0], [1, 1]] };
+      var Q = new Query({ where: { area: { intersects: line } } }, {});
+      assert(_.isEqual(Q.criteria.where.area, { $geoIntersects: { $geometry: line } }));
+    });
+
+    it('should run `near` with a distance field as a $geoNear stage', function () {
+      var Q = new Query({
+        where: { open: true, location: { near: { coordinates: [13.4, 52.5], maxDistance: 500, distanceField: 'distance' } } },
+        limit: 5
+      }, { open: { type: 'boolean' } });
+
+      assert(_.isEqual(Q.criteria.where, { open: true }));
+      assert(_.isEqual(Q.geoNearPipeline(), [
+        {
+          $geoNear: {
+            near: { type: 'Point', coordinates: [13.4, 52.5] },
+            key: 'location',
+            distanceField: 'distance',
+            spherical: true,
+            query: { open: true },
+            maxDistance: 500
+          }
+        },
+        { $limit: 5 }
+      ]));
+    });
+
+    it('should refuse `near` with a distance field below the top level', function () {
+      var near = { near: { coordinates: [13.4, 52.5], distanceField: 'distance' } };
+
+      assert.throws(function () {
+        new Query({ where: { or: [{ location: near }, { open: true }] } }, {});
+      }, /must be at the top level/);
+
+      assert.throws(function () {
+        new Query({ where: { location: { not: near } } }, {});
+      }, /must be at the top level/);
+    });
+
+    it('should refuse a plain `near` below the top level', function () {
+      var near = { near: [13.4, 52.5] };
+
+      assert.throws(function () {
+        new Query({ where: { $and: [{ location: near }, { open: true }] } }, {});
+      }, /must be at the top level/);
+
+      assert.throws(function () {
+        new Query({ where: { or: [{ location: { near: { coordinates: [13.4, 52.5], maxDistance: 500 } } }] } }, {});
+      }, /must be at the top level/);
+
+      assert.throws(function () {
+        new Query({ where: { location: { not: near } } }, {});
+      }, /must be at the top level/);
+    });
+
+  });
+
+  describe('with read options', function () {
+
+    it('should extract the read preference and read concern', function () {
+      var Q = new Query({
+        where: { name: 'foo' },
+        readPreference: { mode: 'secondary', tags: { region: 'eu' }, maxStalenessSeconds: 120 },
+        readConcern: 'majority'
+      }, {});
+
+      assert(_.isEqual(_.keys(Q.criteria.where), ['name']));
+      assert.strictEqual(Q.readPreference.mode, 'secondary');
+      assert(_.isEqual(Q.readPreference.tags, [{ region: 'eu' }]));
+      assert.strictEqual(Q.readPreference.maxStalenessSeconds, 120);
+      assert(_.isEqual(Q.readConcern, { level: 'majority' }));
+    });
+
+    it('should accept a read preference mode', function () {
+      var Q = new Query({ where: {}, readPreference: 'secondaryPreferred' }, {});
+      assert.strictEqual(Q.readPreference.mode, 'secondaryPreferred');
+      assert.strictEqual(Q.readConcern, null);
+    });
+
+    it('should throw on unknown read preference modes', function () {
+      assert.throws(function () {
+        new Query({ where: {}, readPreference: 'anywhere' }, {});
+      });
+    });
+
+  });
+
 });
@@ -0,0 +1,142 @@
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var Query = require('../../../lib/query');
+
+describe('Query', function () {
+  "use strict";
+
+  describe('with aggregate options', function () {
+
+    it('should map the accumulators onto the $group phase', function () {
+      var Q = new Query({
+        groupBy: ['customer'],
+        sum: ['amount'],
+        first: ['createdAt'],
+        last: ['updatedAt'],
+        stdDevPop: ['score'],
+        stdDevSamp: ['rating'],
+        push: ['tags'],
+        addToSet: ['status']
+      }, { amount: { type: 'integer' } });
+
+      assert(Q.aggregate);
+      assert(_.isEqual(Q.aggregateGroup, {
+        _id: { customer: '$customer' },
+        amount: { $sum: '$amount' },
+        createdAt: { $first: '$createdAt' },
+        updatedAt: { $last: '$updatedAt' },
+        score: { $stdDevPop: '$score' },
+        rating: { $stdDevSamp: '$rating' },
+        tags: { $push: '$tags' },
+        status: { $addToSet: '$status' }
+      }));
+    });
+
+    it('should count the documents of each group', function () {
+      var Q = new Query({ groupBy: ['customer'], count: true }, {});
+      assert(_.isEqual(Q.aggregateGroup.count, { $sum: 1 }));
+    });
+
+    it('should count the non-null values of the given fields', function () {
+      var Q = new Query({ count: ['email'] }, {});
+      assert(_.isEqual(Q.aggregateGroup.email, { $sum: { $cond: [{ $gt: ['$email', null] }, 1, 0] } }));
+    });
+
+    it('should count distinct values once grouped', function () {
+      var Q = new Query({ groupBy: ['customer'], countDistinct: ['product'] }, {});
+      var pipeline = Q.aggregatePipeline();
+
+      assert(_.isEqual(Q.aggregateGroup.product, { $addToSet: '$product' }));
+      assert(_.isEqual(pipeline[2], { $addFields: { product: { $size: '$product' } } }));
+    });
+
+    it('should filter the groups with `having`', function () {
+      var Q = new Query({
+        groupBy: ['customer'],
+        sum: ['amount'],
+        having: { amount: { '>': 100 }, customer: { '!': 'acme' } }
+      }, {});
+      var pipeline = Q.aggregatePipeline();
+
+      assert(_.isEqual(pipeline[2], { $match: { amount: { $gt: 100 }, '_id.customer': { $ne: 'acme' } } }));
+    });
+
+    it('should sort on grouped and aggregated fields', function () {
+      var Q = new Query({
+        groupBy: ['customer'],
+        sum: ['amount'],
+        sort: { amount: -1, customer: 1 }
+      }, {});
+      var pipeline = Q.aggregatePipeline();
+
+      assert(_.isEqual(_.last(pipeline), { $sort: { amount: -1, '_id.customer': 1 } }));
+    });
+
+    it('should sort the documents before grouping on other fields', function () {
+      var Q = new Query({
+        where: { paid: true },
+        groupBy: ['customer'],
+        first: ['amount'],
+        last: ['status'],
+        sort: { createdAt: -1, amount: -1, customer: 1 },
+        limit: 5
+      }, { paid: { type: 'boolean' } });
+
+      assert(_.isEqual(Q.aggregatePipeline(), [
+        { $match: { paid: true } },
+        { $sort: { createdAt: -1 } },
+        { $group: { _id: { customer: '$customer' }, amount: { $first: '$amount' }, status: { $last: '$status' } } },
+        { $sort: { amount: -1, '_id.customer': 1 } },
+        { $limit: 5 }
+      ]));
+    });
+
+    it('should apply skip, limit and select after grouping', function () {
+      var Q = new Query({
+        groupBy: ['customer'],
+        sum: ['amount'],
+        sort: { amount: -1 },
+        skip: 10,
+        limit: 10,
+        select: ['customer', 'amount']
+      }, {});
+      var pipeline = Q.aggregatePipeline();
+
+      assert(_.isEqual(pipeline.slice(2), [
+        { $sort: { amount: -1 } },
+        { $skip: 10 },
+        { $limit: 10 },
+        { $project: { '_id.customer': 1, amount: 1 } }
+      ]));
+    });
+
+    it('should bucket dates in groupBy', function () {
+      var Q = new Query({
+        groupBy: ['customer', { createdAt: 'day' }, { updatedAt: { unit: 'month', timezone: 'Europe/Berlin' } }],
+        sum: ['amount'],
+        sort: { createdAt: 1 }
+      }, {});
+
+      assert(_.isEqual(Q.aggregateGroup._id, {
+        customer: '$customer',
+        createdAt: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+        updatedAt: { $dateToString: { format: '%Y-%m', date: '$updatedAt', timezone: 'Europe/Berlin' } }
+      }));
+      assert(_.isEqual(_.last(Q.aggregatePipeline()), { $sort: { '_id.createdAt': 1 } }));
+    });
+
+    it('should throw on unknown date units', function () {
+      assert.throws(function () {
+        new Query({ groupBy: [{ createdAt: 'fortnight' }], sum: ['amount'] }, {});
+      });
+    });
+
+    it('should throw without any calculation to do', function () {
+      assert.throws(function () {
+        new Query({ groupBy: ['customer'] }, {});
+      });
+    });
+
+  });
+
+});
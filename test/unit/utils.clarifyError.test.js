@@ -82,6 +82,109 @@ describe('clarifyError', function () {
     assert.strictEqual(validationError.invalidAttributes['name'][0].value, 'ObjectId("507f191e810c19729de860ea")');
     assert.strictEqual(validationError.originalError, err);
   });
+
+  it('parses the field names of newer duplicate key messages', function () {
+    var err = {
+      code: 11000,
+      errmsg: 'E11000 duplicate key error collection: test.users index: email_1 dup key: { email: "a@example.com" }'
+    };
+    var validationError = clarifyError(err);
+
+    assert.deepEqual(validationError.invalidAttributes, { email: [{ rule: 'unique', value: 'a@example.com' }] });
+  });
+
+  it('reports every field of a compound unique index', function () {
+    var err = {
+      code: 11000,
+      errmsg: 'E11000 duplicate key error collection: test.users index: lastName_1_firstName_-1 dup key: { : "Doe", : "John" }'
+    };
+    var validationError = clarifyError(err);
+
+    assert.deepEqual(validationError.invalidAttributes, {
+      lastName: [{ rule: 'unique', value: 'Doe' }],
+      firstName: [{ rule: 'unique', value: 'John' }]
+    });
+  });
+
+  it('prefers the key pattern and value reported by the server', function () {
+    var err = {
+      code: 11000,
+      errmsg: 'E11000 duplicate key error collection: test.users index: by_name dup key: { lastName: "Doe", age: 42 }',
+      keyPattern: { lastName: 1, age: 1 },
+      keyValue: { lastName: 'Doe', age: 42 }
+    };
+    var validationError = clarifyError(err);
+
+    assert.deepEqual(validationError.invalidAttributes, {
+      lastName: [{ rule: 'unique', value: 'Doe' }],
+      age: [{ rule: 'unique', value: 42 }]
+    });
+
+    delete err.keyValue;
+    err.errmsg = 'E11000 duplicate key error collection: test.users index: by_name dup key: { : "Doe", : 42 }';
+    assert.deepEqual(clarifyError(err).invalidAttributes, {
+      lastName: [{ rule: 'unique', value: 'Doe' }],
+      age: [{ rule: 'unique', value: 42 }]
+    });
+  });
+
+  it('maps write concern, not primary, time limit and network errors to distinct codes', function () {
+    function translated(err) {
+      var error = clarifyError(err);
+      assert(error instanceof Error);
+      assert.strictEqual(error.originalError, err);
+      return error.code;
+    }
+
+    var network = new Error('failed to connect to server');
+    network.name = 'MongoNetworkError';
+
+    assert.strictEqual(translated({ code: 64, message: 'waiting for replication timed out', errInfo: { wtimeout: true } }), 'E_WRITE_CONCERN_TIMEOUT');
+    assert.strictEqual(translated({ code: 10107, message: 'not master' }), 'E_NOT_PRIMARY');
+    assert.strictEqual(translated({ code: 189, message: 'primary stepped down' }), 'E_NOT_PRIMARY');
+    assert.strictEqual(translated({ code: 50, message: 'operation exceeded time limit' }), 'E_TIMEOUT');
+    assert.strictEqual(translated(network), 'E_CONNECTION');
+  });
+
+  it('returns a validation error if passed a MongoDB document validation error', function () {
+    var err = { code: 121, errmsg: 'Document failed validation' };
+    var validationError = clarifyError(err);
+
+    assert.strictEqual(validationError.code, 'E_VALIDATION');
+    assert.deepEqual(validationError.invalidAttributes, {});
+    assert.strictEqual(validationError.originalError, err);
+  });
+
+  it('extracts the failing attributes from the validation error details', function () {
+    var err = {
+      code: 121,
+      errmsg: 'Document failed validation',
+      errInfo: {
+        details: {
+          operatorName: '$jsonSchema',
+          schemaRulesNotSatisfied: [
+            { operatorName: 'required', missingProperties: ['email'] },
+            {
+              operatorName: 'properties',
+              propertiesNotSatisfied: [
+                { propertyName: 'age', details: [{ operatorName: 'bsonType', consideredValue: 'ten' }] },
+                { propertyName: 'role', details: [{ operatorName: 'enum', consideredValue: 'root' }] },
+                { propertyName: 'name', details: [{ operatorName: 'maxLength', consideredValue: 'abcdef' }] }
+              ]
+            }
+          ]
+        }
+      }
+    };
+    var validationError = clarifyError(err);
+
+    assert.deepEqual(validationError.invalidAttributes, {
+      email: [{ rule: 'required' }],
+      age: [{ rule: 'type', value: 'ten' }],
+      role: [{ rule: 'in', value: 'root' }],
+      name: [{ rule: 'maxLength', value: 'abcdef' }]
+    });
+  });
 });
 
 /**
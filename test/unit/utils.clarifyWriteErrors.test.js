@@ -0,0 +1,26 @@
+var assert = require('assert');
+var clarifyWriteErrors = require('../../lib/utils').clarifyWriteErrors;
+var bulkError = require('../support/stubs').bulkError;
+
+describe('clarifyWriteErrors', function () {
+
+  it('maps write errors to their index and a clarified error', function () {
+    var errors = clarifyWriteErrors(bulkError([
+      { index: 1, err: { index: 1, code: 11000, errmsg: 'E11000 duplicate key error collection: sails.user index: email_1 dup key: { : "a@example.com" }' } },
+      { index: 3, code: 121, errmsg: 'Document failed validation' }
+    ]));
+
+    assert.equal(errors.length, 2);
+    assert.strictEqual(errors[0].index, 1);
+    assert.strictEqual(errors[0].error.code, 'E_UNIQUE');
+    assert.deepEqual(errors[0].error.invalidAttributes, { email: [{ rule: 'unique', value: 'a@example.com' }] });
+    assert.strictEqual(errors[1].index, 3);
+    assert.strictEqual(errors[1].error.code, 'E_VALIDATION');
+  });
+
+  it('returns no errors for errors without a bulk result', function () {
+    assert.deepEqual(clarifyWriteErrors(new Error('boom')), []);
+    assert.deepEqual(clarifyWriteErrors(bulkError([])), []);
+  });
+
+});
@@ -0,0 +1,55 @@
+var assert = require('assert');
+var wrapError = require('../../lib/utils').wrapError;
+
+describe('wrapError', function () {
+
+  it('adds the adapter method, collection and redacted criteria', function () {
+    var err = new Error('boom');
+    var wrapped = wrapError(err, 'find', 'user', {
+      where: { email: 'a@example.com', age: { '>': 18 }, or: [{ name: 'foo' }] },
+      limit: 10
+    });
+
+    assert.strictEqual(wrapped, err);
+    assert.strictEqual(wrapped.code, 'E_UNKNOWN');
+    assert.strictEqual(wrapped.adapterMethod, 'find');
+    assert.strictEqual(wrapped.collection, 'user');
+    assert.deepEqual(wrapped.criteria, {
+      where: { email: '[redacted]', age: { '>': '[redacted]' }, or: [{ name: '[redacted]' }] },
+      limit: 10
+    });
+  });
+
+  it('turns clarified errors and strings into Error instances', function () {
+    var unique = wrapError({
+      code: 11000,
+      errmsg: 'E11000 duplicate key error collection: test.user index: email_1 dup key: { email: "a@example.com" }'
+    }, 'create', 'user');
+
+    assert(unique instanceof Error);
+    assert.strictEqual(unique.code, 'E_UNIQUE');
+    assert(unique.invalidAttributes.email);
+    assert.strictEqual(unique.adapterMethod, 'create');
+
+    var notFound = wrapError('Record with the provided criteria was not found', 'update', 'user');
+    assert(notFound instanceof Error);
+    assert.strictEqual(notFound.message, 'Record with the provided criteria was not found');
+    assert.strictEqual(notFound.code, 'E_UNKNOWN');
+  });
+
+  it('keeps the codes of driver errors', function () {
+    var err = new Error('operation exceeded time limit');
+    err.code = 50;
+
+    var wrapped = wrapError(err, 'count', 'user');
+    assert.strictEqual(wrapped.code, 'E_TIMEOUT');
+    assert.strictEqual(wrapped.originalError, err);
+  });
+
+  it('leaves already wrapped errors alone', function () {
+    var wrapped = wrapError(new Error('boom'), 'find', 'pet');
+    assert.strictEqual(wrapError(wrapped, 'join', 'user'), wrapped);
+    assert.strictEqual(wrapped.adapterMethod, 'find');
+  });
+
+});